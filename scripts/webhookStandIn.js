@@ -0,0 +1,74 @@
+/**
+ * Local webhook stand-in
+ *
+ * Accepts the messages the app posts to Discord/Slack-style webhooks and
+ * prints them, so publishing can be tried without a real channel:
+ *
+ *   npm run webhook:stand-in            # listens on http://localhost:8787
+ *   PORT=9000 npm run webhook:stand-in
+ *
+ * Use http://localhost:8787/discord, /slack or any other path as the webhook
+ * URL (pick the format explicitly - AUTO only detects real Discord/Slack URLs).
+ * POST to /status/<code> (e.g. /status/429) to see how the app handles a
+ * rejected message.
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Decode a JSON body, or a Slack-style form body with a `payload` field
+ */
+function parseBody(body, contentType = '') {
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return JSON.parse(new URLSearchParams(body).get('payload') || 'null');
+  }
+  return JSON.parse(body);
+}
+
+const server = http.createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  if (request.method !== 'POST') {
+    response.writeHead(405, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  let body = '';
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    const forcedStatus = /^\/status\/(\d{3})$/.exec(request.url)?.[1];
+    const status = forcedStatus ? Number(forcedStatus) : 204;
+
+    let message;
+    try {
+      message = parseBody(body, request.headers['content-type']);
+    } catch {
+      message = body;
+    }
+
+    console.log(`\n[${new Date().toISOString()}] POST ${request.url} -> ${status}`);
+    console.log(typeof message === 'string' ? message : JSON.stringify(message, null, 2));
+
+    response.writeHead(status, CORS_HEADERS);
+    response.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook stand-in listening on http://localhost:${PORT}`);
+});
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import React, { useState, useCallback, useMemo, useRef, useEffect, useReducer } from 'react';
 import {
   Container,
   Paper,
@@ -15,18 +15,40 @@ import {
   MenuItem,
   Dialog,
   IconButton,
+  Link,
+  Tooltip,
 } from '@mui/material';
 import {
   Refresh,
   PlayArrow,
   Close,
+  Lock,
+  CloudSync,
 } from '@mui/icons-material';
-import { getLeagueTeams, getLeague, getLeagueDrafts } from './services/sleeperApi';
+import { getLeagueTeams, getLeague, getLeagueDrafts, getLeagueSeasons } from './services/sleeperApi';
+import { createLotteryRecord, saveLottery } from './services/lotteryArchive';
+import {
+  loadWebhookSettings,
+  saveWebhookSettings,
+  validateWebhookUrl,
+  resolveWebhookFormat,
+  postWebhook,
+  buildResultsMessage,
+  buildPickMessage,
+} from './services/webhooks';
 import { validateLeagueId } from './utils/validation';
-import { sortTeamsByRecord, determinePlayoffAndLotteryTeams, formatTeamRecord } from './utils/teamUtils';
-import { runNBALottery } from './utils/nbaLottery';
+import { sortTeamsByRecord, determinePlayoffAndLotteryTeams, calculateMultiSeasonScores, formatTeamRecord } from './utils/teamUtils';
+import { drawLotteryOrder } from './utils/nbaLottery';
+import { createSeededSource, generateSeed } from './utils/random';
+import { createCommitment, canonicalizeLotteryConfig, fingerprintLotteryConfig } from './utils/fairnessProof';
+import { createPauseController } from './utils/pausableTimer';
+import { createAuditLog } from './utils/auditLog';
+import { encodeResultsPermalink, buildResultsPermalinkUrl } from './utils/permalink';
+import { summarizeLotteryResults } from './utils/resultsExport';
+import { CEREMONY_STATES, ceremonyReducer, initialCeremonyState, getCeremonyView } from './utils/ceremonyMachine';
+import { validatePingPongCombinations } from './utils/pingPongLottery';
 import { calculateTotalCombinations, getCombinationSet } from './utils/combinations';
-import { LOTTERY } from './constants';
+import { LOTTERY, STANDINGS, UI } from './constants';
 import { DndContext, pointerWithin, KeyboardSensor, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { DraggableAndDroppableTeamCard } from './components/DraggableAndDroppableTeamCard';
 import { DroppablePlayoffTeam } from './components/DroppablePlayoffTeam';
@@ -35,6 +57,29 @@ import { SelectionAnimation } from './components/SelectionAnimation';
 import { LeagueInfo } from './components/LeagueInfo';
 import { DraftHistory } from './components/DraftHistory';
 import { TeamNameWithAvatar } from './components/TeamNameWithAvatar';
+import { OddsTable } from './components/OddsTable';
+import { SimulationLab } from './components/SimulationLab';
+import { PastLotteries } from './components/PastLotteries';
+import { ConfigLockPanel } from './components/ConfigLockPanel';
+import { WebhookSettings } from './components/WebhookSettings';
+
+/**
+ * Teams to place in lottery slots, worst first
+ * Lottery-only distributions leave out the playoff teams.
+ */
+function getTeamsForSlots(teams, setKey, ranking) {
+  if (LOTTERY.COMBINATION_SETS[setKey]?.lotteryOnly) {
+    return determinePlayoffAndLotteryTeams(teams, 6, ranking).lotteryTeams;
+  }
+  return sortTeamsByRecord(teams, ranking);
+}
+
+/**
+ * Team order across lottery slots, for spotting hand-made changes
+ */
+function getSlotOrder(slots) {
+  return slots.map(slot => slot.teamId).join('|');
+}
 
 function App() {
   const [leagueId, setLeagueId] = useState(() => {
@@ -43,21 +88,48 @@ function App() {
   const [teams, setTeams] = useState([]);
   const [league, setLeague] = useState(null);
   const [drafts, setDrafts] = useState([]);
+  const [leagueSeasons, setLeagueSeasons] = useState({}); // Season -> Sleeper league ID
   const [selectedSeason, setSelectedSeason] = useState(null);
+  const [seedingModel, setSeedingModel] = useState(STANDINGS.DEFAULT_MODEL);
+  const [missingSeasons, setMissingSeasons] = useState(STANDINGS.DEFAULT_MISSING_SEASONS); // Owners who joined mid-window
+  const [seasonHistory, setSeasonHistory] = useState([]); // Past seasons for multi-season seeding: [{ season, teams }]
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [refreshedAt, setRefreshedAt] = useState(null); // Set when the last load skipped the API cache
+  const refreshedKeysRef = useRef(new Set()); // Data already fetched past the cache since refreshedAt
   const [error, setError] = useState(null);
   const [combinationSet, setCombinationSet] = useState('NBA_6_TEAMS');
+  const [drawMode, setDrawMode] = useState(LOTTERY.DEFAULT_RULES.drawMode);
+  const [lotteryPicks, setLotteryPicks] = useState(LOTTERY.DEFAULT_RULES.lotteryPicks); // null = every pick drawn
+  const [maxDrop, setMaxDrop] = useState(LOTTERY.DEFAULT_RULES.maxDrop); // null = no limit
+  const [revealMode, setRevealMode] = useState('AUTO');
   const [lotterySlots, setLotterySlots] = useState([]); // Array of { slotId, combinations, teamId }
-  const [isRunning, setIsRunning] = useState(false);
-  const [showAnimation, setShowAnimation] = useState(false);
-  const [animationStarted, setAnimationStarted] = useState(false);
-  const [selections, setSelections] = useState([]);
-  const [currentSelection, setCurrentSelection] = useState(null);
-  const [showResults, setShowResults] = useState(false);
-  const [teamsForLottery, setTeamsForLottery] = useState([]);
-  const [confettiInterval, setConfettiInterval] = useState(null);
-  const [fullLotteryResults, setFullLotteryResults] = useState([]);
-  const skipAnimationRef = useRef(false);
+  const seededOrderRef = useRef(null); // Slot order as last seeded from the ranking
+  const seededRankingKeyRef = useRef(null); // Ranking inputs the slots were last seeded from
+  const [reseedPending, setReseedPending] = useState(false); // Ranking changed after teams were moved by hand
+  const [lockedConfig, setLockedConfig] = useState(null); // Frozen slots + rules with canonical JSON and fingerprint
+  const [ceremony, dispatchCeremony] = useReducer(ceremonyReducer, initialCeremonyState);
+  const ceremonyRunRef = useRef(null); // { aborted, pauseController, resolveReveal } for the active reveal sequence
+  const confettiIntervalRef = useRef(null);
+  const loadRequestRef = useRef(0); // Latest league/season load; older responses are dropped
+  const [archiveVersion, setArchiveVersion] = useState(0); // Bumped after each save to refresh Past Lotteries
+  const archivedCommitmentRef = useRef(null); // Commitment of the last lottery saved to the archive
+  const [auditLog, setAuditLog] = useState(null); // Hash-chained log of how each pick was drawn
+  const [webhookSettings, setWebhookSettings] = useState(loadWebhookSettings);
+  const [webhookDelivery, setWebhookDelivery] = useState(null); // Outcome of the last webhook post
+  const webhookQueueRef = useRef(Promise.resolve()); // Posts go out one at a time, in order
+  const publishedCommitmentRef = useRef(null); // Commitment of the last lottery published to the webhook
+  const {
+    showDialog,
+    animationStarted,
+    isRunning,
+    isPaused,
+    showResults,
+    selections,
+    currentSelection,
+  } = getCeremonyView(ceremony);
+  const configLocked = lockedConfig !== null; // Slots, combinations and rules can't be edited
 
   // Save league ID to session storage when it changes
   useEffect(() => {
@@ -84,8 +156,79 @@ function App() {
     useSensor(KeyboardSensor)
   );
 
+  // Rules applied by the lottery engine (part of the fairness commitment)
+  const lotteryRules = useMemo(() => ({
+    ...LOTTERY.DEFAULT_RULES,
+    drawMode,
+    lotteryPicks,
+    maxDrop,
+  }), [drawMode, lotteryPicks, maxDrop]);
+
+  // How teams are seeded into lottery slots (see STANDINGS.MODELS)
+  const ranking = useMemo(() => ({
+    model: STANDINGS.MODELS[seedingModel],
+    season: league?.season ? String(league.season) : null,
+    history: seasonHistory,
+    missingSeasons,
+  }), [seedingModel, league, seasonHistory, missingSeasons]);
+  const historySeasonCount = ranking.model.weights.length - 1;
+
+  // After a forced refresh, each piece of data (keyed e.g. `season:<leagueId>`)
+  // skips the cache once; later loads of it read from the cache again
+  const claimForceRefresh = useCallback((key) => {
+    if (refreshedAt === null || refreshedKeysRef.current.has(key)) return false;
+    refreshedKeysRef.current.add(key);
+    return true;
+  }, [refreshedAt]);
+  // Changes only when the seeding inputs do, not when the league object is refetched
+  const rankingKey = [
+    seedingModel,
+    missingSeasons,
+    ranking.season,
+    ...seasonHistory.map(entry => entry.season),
+  ].join('|');
+
+  // Fetch one season's league, teams and drafts, and lay out lottery slots for them
+  // Returns null when a newer load has started in the meantime
+  const loadSeasonData = useCallback(async (seasonLeagueId, knownLeague = null, { forceRefresh = false } = {}) => {
+    const requestId = ++loadRequestRef.current;
+
+    // Fetch league info first (needed for points against calculation)
+    const fetchedLeague = knownLeague || await getLeague(seasonLeagueId, { forceRefresh }).catch(() => null);
+
+    // Fetch teams and drafts in parallel (pass league to teams for points against calc)
+    const [fetchedTeams, fetchedDrafts] = await Promise.all([
+      getLeagueTeams(seasonLeagueId, fetchedLeague, { forceRefresh }),
+      getLeagueDrafts(seasonLeagueId, { forceRefresh }).catch(() => []), // Return empty array if drafts fail
+    ]);
+
+    if (requestId !== loadRequestRef.current) return null;
+
+    setLeague(fetchedLeague);
+    setTeams(fetchedTeams);
+    setDrafts(fetchedDrafts || []);
+
+    // Create slots based on selected distribution, then assign teams
+    // (lottery-only distributions leave out the playoff teams)
+    const teamsForSlots = getTeamsForSlots(fetchedTeams, combinationSet, ranking);
+
+    // Create slots with combinations, then assign teams
+    const comboArray = getCombinationSet(combinationSet, teamsForSlots.length);
+    const slots = comboArray.map((combinations, index) => ({
+      slotId: index,
+      combinations: combinations || 1,
+      teamId: teamsForSlots[index]?.userId || null,
+    }));
+
+    seededOrderRef.current = getSlotOrder(slots);
+    setReseedPending(false);
+    setLotterySlots(slots);
+    return { league: fetchedLeague, drafts: fetchedDrafts || [] };
+  }, [combinationSet, ranking]);
+
   // Load teams from Sleeper API
-  const handleLoadTeams = useCallback(async () => {
+  // forceRefresh skips cached responses (see services/apiCache.js)
+  const handleLoadTeams = useCallback(async ({ forceRefresh = false } = {}) => {
     const validation = validateLeagueId(leagueId);
     if (!validation.isValid) {
       setError(validation.error);
@@ -97,76 +240,53 @@ function App() {
     setTeams([]);
     setLeague(null);
     setDrafts([]);
+    setLeagueSeasons({});
     setLotterySlots([]); // Reset slots
-    setIsRunning(false);
-    setSelections([]);
-    setCurrentSelection(null);
-    setShowResults(false);
+    setReseedPending(false);
+    setLockedConfig(null);
+    setRefreshedAt(forceRefresh ? Date.now() : null);
+    refreshedKeysRef.current = new Set(forceRefresh ? [`season:${leagueId.trim()}`] : []);
+    dispatchCeremony({ type: 'RESET' });
 
     try {
-      // Fetch league info first (needed for points against calculation)
-      const fetchedLeague = await getLeague(leagueId.trim()).catch(() => null);
-      
-      // Fetch teams and drafts in parallel (pass league to teams for points against calc)
-      const [fetchedTeams, fetchedDrafts] = await Promise.all([
-        getLeagueTeams(leagueId.trim(), fetchedLeague),
-        getLeagueDrafts(leagueId.trim()).catch(() => []), // Return empty array if drafts fail
-      ]);
-
-      setLeague(fetchedLeague);
-      setTeams(fetchedTeams);
-      setDrafts(fetchedDrafts || []);
-      
+      const rootLeagueId = leagueId.trim();
+      const rootLeague = await getLeague(rootLeagueId, { forceRefresh }).catch(() => null);
+
+      // Past seasons are separate leagues linked through previous_league_id
+      const seasonMap = rootLeague
+        ? await getLeagueSeasons(rootLeagueId, rootLeague, { forceRefresh }).catch(() => ({}))
+        : {};
+      setLeagueSeasons(seasonMap);
+
+      const loaded = await loadSeasonData(rootLeagueId, rootLeague, { forceRefresh });
+      if (!loaded) return;
+
       // Set selected season to most recent available season
-      // Get all available seasons from league and drafts
-      const seasons = new Set();
-      if (fetchedLeague?.season) {
-        seasons.add(fetchedLeague.season);
+      // Get all available seasons from league history, league and drafts
+      const seasons = new Set(Object.keys(seasonMap));
+      if (loaded.league?.season) {
+        seasons.add(String(loaded.league.season));
       }
-      (fetchedDrafts || []).forEach(draft => {
+      loaded.drafts.forEach(draft => {
         if (draft.season) {
-          seasons.add(draft.season);
+          seasons.add(String(draft.season));
         }
       });
-      
+
       // Sort seasons descending (newest first) and set to most recent
       const sortedSeasons = Array.from(seasons).sort((a, b) => b - a);
       if (sortedSeasons.length > 0) {
-        setSelectedSeason(sortedSeasons[0]);
+        setSelectedSeason(loaded.league?.season ? String(loaded.league.season) : sortedSeasons[0]);
       } else {
         // Fallback to current year if no seasons found
-        setSelectedSeason(new Date().getFullYear());
+        setSelectedSeason(String(new Date().getFullYear()));
       }
-      
-      // Create slots based on selected distribution, then assign teams
-      const set = LOTTERY.COMBINATION_SETS[combinationSet];
-      const isLotteryOnly = set?.lotteryOnly || false;
-      
-      let teamsForSlots;
-      if (isLotteryOnly) {
-        // Only create slots for lottery teams (non-playoff teams)
-        const { lotteryTeams } = determinePlayoffAndLotteryTeams(fetchedTeams, 6);
-        teamsForSlots = lotteryTeams;
-      } else {
-        // Create slots for all teams
-        teamsForSlots = sortTeamsByRecord(fetchedTeams);
-      }
-      
-      // Create slots with combinations, then assign teams
-      const comboArray = getCombinationSet(combinationSet, teamsForSlots.length);
-      const slots = comboArray.map((combinations, index) => ({
-        slotId: index,
-        combinations: combinations || 1,
-        teamId: teamsForSlots[index]?.userId || null,
-      }));
-      
-      setLotterySlots(slots);
     } catch (err) {
       setError(err.message || 'Failed to load teams');
     } finally {
       setLoading(false);
     }
-  }, [leagueId, combinationSet]);
+  }, [leagueId, loadSeasonData]);
 
   // Handle combination set change - recreate slots with new distribution
   const handleCombinationSetChange = useCallback((setKey) => {
@@ -174,17 +294,8 @@ function App() {
     
     if (teams.length === 0) return;
     
-    const set = LOTTERY.COMBINATION_SETS[setKey];
-    const isLotteryOnly = set?.lotteryOnly || false;
-    
     // Determine which teams should be in slots
-    let teamsForSlots;
-    if (isLotteryOnly) {
-      const { lotteryTeams } = determinePlayoffAndLotteryTeams(teams, 6);
-      teamsForSlots = lotteryTeams;
-    } else {
-      teamsForSlots = sortTeamsByRecord(teams);
-    }
+    const teamsForSlots = getTeamsForSlots(teams, setKey, ranking);
     
     // If switching to CUSTOM, preserve existing slot combinations if they exist
     if (setKey === 'CUSTOM' && lotterySlots.length > 0) {
@@ -227,8 +338,10 @@ function App() {
       };
     });
     
+    seededOrderRef.current = getSlotOrder(slots);
+    setReseedPending(false);
     setLotterySlots(slots);
-  }, [teams, lotterySlots]);
+  }, [teams, lotterySlots, ranking]);
   
   // Handle individual combination change (for custom mode) - update slot combinations
   const handleCombinationsChange = useCallback((slotId, value) => {
@@ -291,8 +404,8 @@ function App() {
     }
   }, [teams, lotterySlots]);
 
-  // Prepare lottery and show animation popup
-  const handleRunLottery = useCallback(() => {
+  // Freeze the slot configuration and rules, and fingerprint them for the league
+  const handleLockConfiguration = useCallback(async () => {
     if (teams.length === 0 || lotterySlots.length === 0) {
       setError('Please load teams first');
       return;
@@ -324,240 +437,526 @@ function App() {
       return;
     }
 
+    if (drawMode === 'PING_PONG') {
+      const pingPongValidation = validatePingPongCombinations(combinationValues);
+      if (!pingPongValidation.isValid) {
+        setError(pingPongValidation.error);
+        return;
+      }
+    }
+
+    const rules = lotteryRules;
+    let fingerprint;
+    try {
+      fingerprint = await fingerprintLotteryConfig(teamsWithCombinations, rules);
+    } catch (err) {
+      setError(err.message || 'Failed to fingerprint the lottery configuration');
+      return;
+    }
+
+    setError(null);
+    setLockedConfig({
+      teams: teamsWithCombinations,
+      rules,
+      combinationSet,
+      canonicalJson: canonicalizeLotteryConfig(teamsWithCombinations, rules),
+      fingerprint,
+      lockedAt: Date.now(),
+    });
+  }, [teams, lotterySlots, drawMode, lotteryRules, combinationSet]);
+
+  // Unlock the configuration for editing (only before a lottery is armed)
+  const handleUnlockConfiguration = useCallback(() => {
+    if (ceremony.status !== CEREMONY_STATES.IDLE) return;
+    setLockedConfig(null);
+  }, [ceremony.status]);
+
+  // Prepare lottery from the locked configuration and show animation popup
+  const handleRunLottery = useCallback(async () => {
+    if (!lockedConfig) {
+      setError('Lock the configuration before running the lottery');
+      return;
+    }
+    const { teams: teamsWithCombinations, rules, fingerprint } = lockedConfig;
+
+    // Commit-reveal: generate the secret seed and publish its commitment before the draw
+    const seed = generateSeed();
+    let commitment;
+    try {
+      commitment = await createCommitment(seed, teamsWithCombinations, rules);
+    } catch (err) {
+      setError(err.message || 'Failed to create lottery commitment');
+      return;
+    }
+
     setError(null);
-    setTeamsForLottery(teamsWithCombinations);
-    setSelections([]);
-    setCurrentSelection(null);
-    setShowResults(false);
-    setAnimationStarted(false);
-    setShowAnimation(true);
-    setFullLotteryResults([]);
-    // Clear any existing confetti
-    if (confettiInterval) {
-      clearInterval(confettiInterval);
-      setConfettiInterval(null);
+    dispatchCeremony({
+      type: 'ARM',
+      teams: teamsWithCombinations,
+      proof: { seed, commitment, rules, fingerprint },
+      timestamp: Date.now(),
+    });
+  }, [lockedConfig]);
+
+  // Replay an archived lottery: same teams, order and reveals as the original ceremony
+  const handleReplayLottery = useCallback((record) => {
+    if (!record?.selections?.length) return;
+    if (ceremony.status !== CEREMONY_STATES.IDLE
+      && ceremony.status !== CEREMONY_STATES.COMPLETE
+      && ceremony.status !== CEREMONY_STATES.ARCHIVED) {
+      return;
+    }
+
+    setError(null);
+    dispatchCeremony({
+      type: 'ARM',
+      teams: record.slots,
+      proof: { seed: record.seed, commitment: record.commitment, rules: record.rules, fingerprint: record.fingerprint || null },
+      timestamp: Date.now(),
+      replay: {
+        recordId: record.id,
+        leagueName: record.leagueName,
+        season: record.season,
+        completedAt: record.completedAt,
+        results: record.selections,
+      },
+    });
+  }, [ceremony.status]);
+
+  // Stop the confetti (ref, so handlers never hold a stale interval)
+  const stopConfetti = useCallback(() => {
+    if (confettiIntervalRef.current) {
+      clearInterval(confettiIntervalRef.current);
+      confettiIntervalRef.current = null;
+    }
+  }, []);
+
+  // Abort the active reveal sequence: release any pending reveal and resolve its delays
+  const abortCeremonyRun = useCallback(() => {
+    const run = ceremonyRunRef.current;
+    ceremonyRunRef.current = null;
+    if (!run) return;
+    run.aborted = true;
+    if (run.resolveReveal) run.resolveReveal();
+    run.pauseController.cancel();
+  }, []);
+
+  // Keep the timers in line with the ceremony state
+  useEffect(() => {
+    const { status } = ceremony;
+    if (status === CEREMONY_STATES.PAUSED) {
+      ceremonyRunRef.current?.pauseController.pause();
+    } else if (status === CEREMONY_STATES.REVEALING) {
+      ceremonyRunRef.current?.pauseController.resume();
+    } else if (status !== CEREMONY_STATES.COMPLETE) {
+      // Skipped, cancelled or reset - nothing may keep running in the background
+      abortCeremonyRun();
+      stopConfetti();
     }
-  }, [teams, lotterySlots, confettiInterval]);
+  }, [ceremony.status, abortCeremonyRun, stopConfetti]);
+
+  // Save every finished lottery to the archive (once, whether it was watched or skipped)
+  useEffect(() => {
+    const { status, proof } = ceremony;
+    if (status !== CEREMONY_STATES.COMPLETE && status !== CEREMONY_STATES.ARCHIVED) return;
+    if (!proof || ceremony.replay || archivedCommitmentRef.current === proof.commitment) return;
+    archivedCommitmentRef.current = proof.commitment;
+
+    const record = createLotteryRecord({
+      leagueId: league?.league_id || leagueId.trim(),
+      league,
+      season: league?.season || selectedSeason,
+      combinationSet,
+      ceremony,
+    });
+    saveLottery(record)
+      .then(() => setArchiveVersion(version => version + 1))
+      .catch((err) => {
+        console.error('Failed to save lottery to the archive:', err);
+      });
+  }, [ceremony, league, leagueId, selectedSeason, combinationSet]);
+
+  // Build the audit log once results are shown (re-running the seeded draw gives the live entries)
+  useEffect(() => {
+    setAuditLog(null);
+    if (!showResults || !ceremony.proof) return undefined;
+
+    let cancelled = false;
+    createAuditLog(ceremony.teams, ceremony.proof)
+      .then((log) => {
+        if (!cancelled) setAuditLog(log);
+      })
+      .catch((err) => {
+        console.error('Failed to build the audit log:', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showResults, ceremony.teams, ceremony.proof]);
+
+  // Post a message to the configured webhook (queued behind earlier posts)
+  const publishToWebhook = useCallback((label, buildMessage) => {
+    const { url, format } = webhookSettings;
+    if (!validateWebhookUrl(url).isValid) return;
+
+    const resolvedFormat = resolveWebhookFormat(url.trim(), format);
+    const message = buildMessage(resolvedFormat);
+    webhookQueueRef.current = webhookQueueRef.current
+      .then(() => postWebhook(url, message, resolvedFormat))
+      .then(({ confirmed }) => setWebhookDelivery({ label, at: Date.now(), confirmed, error: null }))
+      .catch((err) => setWebhookDelivery({ label, at: Date.now(), confirmed: false, error: err.message || 'Request failed' }));
+  }, [webhookSettings]);
+
+  // Update and remember the webhook settings
+  const handleWebhookSettingsChange = useCallback((settings) => {
+    setWebhookSettings(settings);
+    saveWebhookSettings(settings);
+  }, []);
+
+  // Shareable link to the results, also kept in the address bar so a refresh reopens them
+  const resultsPermalink = useMemo(() => {
+    if (!showResults || !ceremony.proof || ceremony.results.length === 0) return null;
+    return buildResultsPermalinkUrl(encodeResultsPermalink({
+      leagueId: league?.league_id || leagueId.trim(),
+      season: ceremony.replay?.season || league?.season || selectedSeason,
+      teams: ceremony.teams,
+      selections: ceremony.results,
+      proof: ceremony.proof,
+    }));
+  }, [showResults, ceremony.proof, ceremony.results, ceremony.teams, ceremony.replay, league, leagueId, selectedSeason]);
+
+  // Publish every finished lottery to the webhook once (replays are never published)
+  useEffect(() => {
+    const { status, proof } = ceremony;
+    if (status !== CEREMONY_STATES.COMPLETE && status !== CEREMONY_STATES.ARCHIVED) return;
+    if (!proof || ceremony.replay || publishedCommitmentRef.current === proof.commitment) return;
+    publishedCommitmentRef.current = proof.commitment;
+    if (!webhookSettings.postResults) return;
+
+    const summary = summarizeLotteryResults({
+      selections: ceremony.results,
+      teams: ceremony.teams,
+      rules: proof.rules,
+      leagueName: league?.name,
+      season: league?.season || selectedSeason,
+      proof,
+      completedAt: ceremony.completedAt,
+    });
+    publishToWebhook('Results', format => buildResultsMessage(summary, format, { permalink: resultsPermalink }));
+  }, [ceremony, league, selectedSeason, resultsPermalink, webhookSettings.postResults, publishToWebhook]);
+
+  useEffect(() => {
+    const { pathname, search } = window.location;
+    // replaceState doesn't fire hashchange, so this view stays mounted
+    window.history.replaceState(null, '', resultsPermalink || `${pathname}${search}`);
+  }, [resultsPermalink]);
+
+  // Never leave timers running after unmount
+  useEffect(() => () => {
+    abortCeremonyRun();
+    stopConfetti();
+  }, [abortCeremonyRun, stopConfetti]);
 
   // Actually start the lottery animation
   const handleStartAnimation = useCallback(async () => {
-    if (teamsForLottery.length === 0) return;
-
-    setAnimationStarted(true);
-    setIsRunning(true);
-    skipAnimationRef.current = false; // Reset skip flag
+    if (ceremony.status !== CEREMONY_STATES.ARMED) return;
+    const { teams: teamsForLottery, proof, replay } = ceremony;
 
+    // Draw the full lottery FIRST (synchronous) - pacing below is purely presentation
+    // Results are returned in order: [worst pick, ..., Pick #2, Pick #1 (winner)]
+    // A replay plays back the recorded results - no new random numbers
+    let results;
     try {
-      // Step 1: Run the lottery calculation FIRST (no delay) to get all results
-      // Results are returned in order: [worst pick, ..., Pick #2, Pick #1 (winner)]
-      const results = await runNBALottery(
+      results = replay ? replay.results : drawLotteryOrder(
         teamsForLottery,
-        null, // No callback during calculation
-        0    // No delay - calculate instantly
+        createSeededSource(proof.seed), // HMAC-SHA-256 keyed by the secret seed: unpredictable, yet reproducible after the reveal
+        proof.rules
       );
+    } catch (err) {
+      setError(err.message || 'Lottery failed');
+      return;
+    }
 
-      // Step 2: Store the full results for skip functionality
-      setFullLotteryResults(results);
-      
-      // Step 3: Clear selections initially - don't show results section until animation completes or is skipped
-      setSelections([]);
-      setShowResults(false); // Keep results section hidden during animation
-
-      // Step 3: Animate through the results sequentially
-      // Results array is: [Pick #6, Pick #5, Pick #4, Pick #3, Pick #2, Pick #1]
-      // We want to animate them in this order (worst first, winner last)
-      const animationDuration = 1200; // Animation duration in ms (matches CSS animation)
-      const delayBetweenPicks = 150; // Delay between each pick animation start (matches CSS delay)
-      const staticDelayBetweenPicks = 300; // Static delay between picks (after avatar finishes rolling in)
-      const lastPickDelay = 1000; // 2 second delay before the last pick
-      
-      for (let i = 0; i < results.length; i++) {
-        // Check if skip was clicked - if so, break out of the loop
-        if (skipAnimationRef.current) {
-          break;
-        }
-        
-        const selection = results[i];
-        const animationDelay = i * delayBetweenPicks;
-        const isLastPick = i === results.length - 1;
-        
-        // If this is the last pick, wait 2 seconds before starting its animation
-        if (isLastPick) {
-          await new Promise(resolve => setTimeout(resolve, lastPickDelay));
-        } else if (i > 0) {
-          // For all picks except the first, wait the static delay before starting the next animation
-          await new Promise(resolve => setTimeout(resolve, staticDelayBetweenPicks));
-        }
-        
-        // Check again after delay - skip might have been clicked during the delay
-        if (skipAnimationRef.current) {
-          break;
-        }
-        
-        // Show all selections up to this point (avatars start rolling in)
-        setSelections(results.slice(0, i + 1));
-        
-        // Wait for the avatar animation to complete before showing/updating the top display
-        // Animation starts at animationDelay and takes animationDuration
-        await new Promise(resolve => setTimeout(resolve, animationDelay + animationDuration));
-        
-        // Check again after animation delay
-        if (skipAnimationRef.current) {
-          break;
-        }
-        
-        // Now show/update the top display after avatar has finished rolling in
-        // This will replace the previous pick's display (if any)
-        setCurrentSelection(selection);
-        
-        // If this is the last selection (Pick #1 - winner), trigger confetti
-        if (isLastPick && selection.pickNumber === 1 && !skipAnimationRef.current) {
-          // Import and trigger confetti
-          const confetti = (await import('canvas-confetti')).default;
-          const duration = 6000; // Doubled from 3000ms to 6000ms
-          const animationEnd = Date.now() + duration;
-          const defaults = { startVelocity: 30, spread: 360, ticks: 60, zIndex: 10000 };
-
-          function randomInRange(min, max) {
-            return Math.random() * (max - min) + min;
-          }
+    // Every delay goes through the run's pause controller so Pause freezes the whole sequence
+    abortCeremonyRun();
+    const run = { aborted: false, pauseController: createPauseController(), resolveReveal: null };
+    ceremonyRunRef.current = run;
+    const wait = run.pauseController.wait;
+    // Commissioner mode: resolves when the next pick is revealed (or the ceremony is aborted)
+    const waitForReveal = () => new Promise(resolve => {
+      run.resolveReveal = resolve;
+    });
+
+    dispatchCeremony({ type: 'START', results, timestamp: Date.now() });
+
+    // Animate through the results sequentially
+    // Results array is: [Pick #6, Pick #5, Pick #4, Pick #3, Pick #2, Pick #1]
+    // We want to animate them in this order (worst first, winner last)
+    const {
+      ANIMATION_DURATION,
+      DELAY_BETWEEN_PICKS,
+      STATIC_DELAY,
+      LAST_PICK_DELAY,
+      DRAMATIC_PAUSE,
+      DRAMATIC_PICKS,
+    } = LOTTERY.REVEAL_TIMING;
+
+    for (let i = 0; i < results.length; i++) {
+      if (run.aborted) break;
+
+      const selection = results[i];
+      const animationDelay = i * DELAY_BETWEEN_PICKS;
+      const isLastPick = i === results.length - 1;
+
+      if (revealMode === 'MANUAL') {
+        // Wait for the commissioner to reveal this pick (button or spacebar)
+        dispatchCeremony({ type: 'PROMPT', prompt: { pickNumber: selection.pickNumber, suspense: false } });
+        await waitForReveal();
 
-          const interval = setInterval(function() {
-            const timeLeft = animationEnd - Date.now();
-
-            if (timeLeft <= 0) {
-              return clearInterval(interval);
-            }
-
-            const particleCount = 50 * (timeLeft / duration);
-            confetti({
-              ...defaults,
-              particleCount,
-              origin: { x: randomInRange(0.1, 0.9), y: Math.random() - 0.2 }
-            });
-          }, 250);
-          
-          // Store the interval so we can clear it if user skips
-          setConfettiInterval(interval);
+        // Dramatic pause before each of the final picks
+        if (selection.pickNumber <= DRAMATIC_PICKS && !run.aborted) {
+          dispatchCeremony({ type: 'PROMPT', prompt: { pickNumber: selection.pickNumber, suspense: true } });
+          await wait(DRAMATIC_PAUSE);
         }
+        dispatchCeremony({ type: 'PROMPT', prompt: null });
+      } else if (isLastPick) {
+        // If this is the last pick, wait before starting its animation
+        await wait(LAST_PICK_DELAY);
+      } else if (i > 0) {
+        // For all picks except the first, wait the static delay before starting the next animation
+        await wait(STATIC_DELAY);
       }
 
-      // Only update results if animation wasn't skipped
-      if (!skipAnimationRef.current) {
-        // Ensure all teams are displayed after animation completes
-        setSelections(results);
-        
-        // Keep the #1 pick (winner) displayed at the top after animation completes
-        const winner = results.find(r => r.pickNumber === 1);
-        if (winner) {
-          setCurrentSelection(winner);
-        }
-        
-        // Animation complete - show final results
-        setShowResults(true);
+      // Check again after delay - the ceremony might have been skipped during the delay
+      if (run.aborted) break;
+
+      // Show all selections up to this point (avatars start rolling in)
+      dispatchCeremony({ type: 'REVEAL', count: i + 1 });
+
+      // Wait for the avatar animation to complete before showing/updating the top display
+      // Animation starts at animationDelay and takes ANIMATION_DURATION
+      await wait(animationDelay + ANIMATION_DURATION);
+      if (run.aborted) break;
+
+      // Now show/update the top display after avatar has finished rolling in
+      dispatchCeremony({ type: 'ANNOUNCE', index: i });
+
+      // Live updates for league members following along in chat
+      if (webhookSettings.postPicks && !replay) {
+        const pickSummary = summarizeLotteryResults({
+          selections: [selection],
+          teams: teamsForLottery,
+          rules: proof.rules,
+          leagueName: league?.name,
+          season: league?.season || selectedSeason,
+        });
+        publishToWebhook(`Pick #${selection.pickNumber}`, format => buildPickMessage(pickSummary, format));
       }
-    } catch (err) {
-      setError(err.message || 'Lottery failed');
-    } finally {
-      setIsRunning(false);
-      // Clear confetti interval when animation completes naturally
-      if (confettiInterval) {
-        clearInterval(confettiInterval);
-        setConfettiInterval(null);
+
+      // If this is the last selection (Pick #1 - winner), trigger confetti
+      if (isLastPick && selection.pickNumber === 1) {
+        const confetti = (await import('canvas-confetti')).default;
+        if (run.aborted) break;
+
+        const duration = 6000; // Doubled from 3000ms to 6000ms
+        const tick = 250;
+        let elapsed = 0; // Only counts un-paused ticks, so pausing freezes the confetti
+        const defaults = { startVelocity: 30, spread: 360, ticks: 60, zIndex: 10000 };
+
+        function randomInRange(min, max) {
+          return Math.random() * (max - min) + min;
+        }
+
+        stopConfetti();
+        confettiIntervalRef.current = setInterval(function() {
+          if (run.pauseController.isPaused()) return;
+
+          elapsed += tick;
+          const timeLeft = duration - elapsed;
+
+          if (timeLeft <= 0) {
+            stopConfetti();
+            return;
+          }
+
+          const particleCount = 50 * (timeLeft / duration);
+          confetti({
+            ...defaults,
+            particleCount,
+            origin: { x: randomInRange(0.1, 0.9), y: Math.random() - 0.2 }
+          });
+        }, tick);
+
+        // Keep the ceremony revealing (and pausable) until the confetti finishes
+        await wait(duration);
       }
-      // Don't clear currentSelection - keep #1 pick displayed at top
-      // Don't close animation automatically - wait for user to click exit
     }
-  }, [teamsForLottery, confettiInterval]);
+
+    if (!run.aborted) {
+      // Keep the #1 pick displayed at the top; the dialog stays open until the user exits
+      dispatchCeremony({ type: 'FINISH', timestamp: Date.now() });
+    }
+    if (ceremonyRunRef.current === run) {
+      ceremonyRunRef.current = null;
+    }
+  }, [ceremony, revealMode, abortCeremonyRun, stopConfetti, webhookSettings.postPicks, publishToWebhook, league, selectedSeason]);
+
+  // Freeze the ceremony (delays, in-flight animations and confetti) at the current pick
+  const handlePauseAnimation = useCallback(() => {
+    dispatchCeremony({ type: 'PAUSE' });
+  }, []);
+
+  // Continue the ceremony from where it was paused
+  const handleResumeAnimation = useCallback(() => {
+    dispatchCeremony({ type: 'RESUME' });
+  }, []);
+
+  // Commissioner mode: reveal the next pick
+  const handleRevealNext = useCallback(() => {
+    const run = ceremonyRunRef.current;
+    if (!run || !run.resolveReveal) return;
+    const resolve = run.resolveReveal;
+    run.resolveReveal = null;
+    resolve();
+  }, []);
 
   // Handle reset
   const handleReset = useCallback(() => {
-    setIsRunning(false);
-    setShowAnimation(false);
-    setAnimationStarted(false);
-    setSelections([]);
-    setCurrentSelection(null);
-    setShowResults(false);
+    abortCeremonyRun();
+    stopConfetti();
+    dispatchCeremony({ type: 'RESET' });
     setError(null);
-    setTeamsForLottery([]);
-  }, []);
+  }, [abortCeremonyRun, stopConfetti]);
 
   // Handle cancel animation
   const handleCancelAnimation = useCallback(() => {
-    // Stop any ongoing confetti
-    if (confettiInterval) {
-      clearInterval(confettiInterval);
-      setConfettiInterval(null);
-    }
-    setIsRunning(false);
-    setShowAnimation(false);
-    setAnimationStarted(false);
-    setSelections([]);
-    setCurrentSelection(null);
-    setTeamsForLottery([]);
-    setFullLotteryResults([]);
-  }, [confettiInterval]);
+    abortCeremonyRun();
+    stopConfetti();
+    dispatchCeremony({ type: 'CANCEL' });
+  }, [abortCeremonyRun, stopConfetti]);
 
   // Handle skip animation - immediately show results
-  const handleSkipAnimation = useCallback(async () => {
-    // Set skip flag to stop the animation loop
-    skipAnimationRef.current = true;
-    
-    // Stop any ongoing confetti immediately
-    if (confettiInterval) {
-      clearInterval(confettiInterval);
-      setConfettiInterval(null);
-    }
-    
-    // Stop the animation loop
-    setIsRunning(false);
-    setShowAnimation(false);
-    setAnimationStarted(false);
-    
-    // Use the full lottery results if available, otherwise calculate them
-    let finalResults = fullLotteryResults.length > 0 ? fullLotteryResults : null;
-    
-    if (!finalResults && teamsForLottery.length > 0) {
-      try {
-        finalResults = await runNBALottery(
-          teamsForLottery,
-          null, // No callback
-          0    // No delay - calculate instantly
-        );
-        setFullLotteryResults(finalResults);
-      } catch (err) {
-        setError(err.message || 'Lottery failed');
-        return;
-      }
-    }
-    
-    // Set ALL results at once (not incrementally) - only if we have results
-    if (finalResults && finalResults.length > 0) {
-      setSelections(finalResults);
-      
-      // Set the winner as current selection
-      const winner = finalResults.find(r => r.pickNumber === 1);
-      if (winner) {
-        setCurrentSelection(winner);
-      }
-      
-      // Show results section immediately
-      setShowResults(true);
-    }
-  }, [teamsForLottery, fullLotteryResults, confettiInterval, runNBALottery]);
+  const handleSkipAnimation = useCallback(() => {
+    abortCeremonyRun();
+    stopConfetti();
+    dispatchCeremony({ type: 'SKIP', timestamp: Date.now() });
+  }, [abortCeremonyRun, stopConfetti]);
 
   // Handle error dismiss
   const handleErrorDismiss = useCallback(() => {
     setError(null);
   }, []);
 
-  // Handle season change
-  const handleSeasonChange = useCallback((season) => {
+  // Handle season change - reload that season's league from the history map
+  const handleSeasonChange = useCallback(async (season) => {
     setSelectedSeason(season);
-    // Note: For now, we're only showing the current season's data
-    // In the future, this could trigger a reload of data for the selected season
-    // when Sleeper API supports historical season data fetching
-  }, []);
+
+    const seasonLeagueId = leagueSeasons[season];
+    if (!seasonLeagueId || seasonLeagueId === league?.league_id) return;
+
+    setLoading(true);
+    setError(null);
+    setTeams([]);
+    setDrafts([]);
+    setLotterySlots([]);
+    setReseedPending(false);
+    setLockedConfig(null);
+    dispatchCeremony({ type: 'RESET' });
+
+    try {
+      // After a forced refresh, other seasons skip the cache too (the first time they load)
+      await loadSeasonData(seasonLeagueId, null, { forceRefresh: claimForceRefresh(`season:${seasonLeagueId}`) });
+    } catch (err) {
+      setError(err.message || `Failed to load the ${season} season`);
+    } finally {
+      setLoading(false);
+    }
+  }, [leagueSeasons, league, loadSeasonData, claimForceRefresh]);
+
+  // Load past seasons' standings when the seeding model averages several seasons
+  // After a forced refresh, each past season is fetched past the API cache once
+  useEffect(() => {
+    setSeasonHistory(prev => (prev.length > 0 ? [] : prev));
+    setHistoryError(null);
+    setHistoryLoading(false);
+
+    const currentSeason = league?.season ? String(league.season) : null;
+    const pastSeasons = Object.keys(leagueSeasons)
+      .filter(season => currentSeason && Number(season) < Number(currentSeason))
+      .sort((a, b) => b - a)
+      .slice(0, historySeasonCount);
+    if (pastSeasons.length === 0) return undefined;
+
+    let cancelled = false;
+    setHistoryLoading(true);
+    Promise.all(pastSeasons.map(async season => ({
+      season,
+      teams: await getLeagueTeams(leagueSeasons[season], null, {
+        includePointsAgainst: false,
+        forceRefresh: claimForceRefresh(`history:${leagueSeasons[season]}`),
+      }),
+    })))
+      .then((history) => {
+        if (!cancelled) setSeasonHistory(history);
+      })
+      .catch((err) => {
+        if (!cancelled) setHistoryError(err.message || 'Failed to load past seasons');
+      })
+      .finally(() => {
+        if (!cancelled) setHistoryLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [league, leagueSeasons, historySeasonCount, claimForceRefresh]);
+
+  // Move the teams into ranking order; slot combinations stay put
+  const handleReseedSlots = useCallback(() => {
+    setReseedPending(false);
+    const teamsForSlots = getTeamsForSlots(teams, combinationSet, ranking);
+    if (lotterySlots.length !== teamsForSlots.length) return;
+
+    const slots = lotterySlots.map((slot, index) => ({ ...slot, teamId: teamsForSlots[index].userId }));
+    seededOrderRef.current = getSlotOrder(slots);
+    setLotterySlots(slots);
+  }, [teams, combinationSet, ranking, lotterySlots]);
+
+  // Re-seed the slots when the ranking inputs change (model, mid-window rule or past standings)
+  // Teams moved by hand since the last seeding stay put until the commissioner confirms
+  useEffect(() => {
+    if (teams.length === 0 || configLocked || ceremony.status !== CEREMONY_STATES.IDLE) return;
+    if (rankingKey === seededRankingKeyRef.current) return;
+    seededRankingKeyRef.current = rankingKey;
+
+    if (getSlotOrder(lotterySlots) !== seededOrderRef.current) {
+      setReseedPending(true);
+      return;
+    }
+    handleReseedSlots();
+  }, [rankingKey, teams, configLocked, ceremony.status, lotterySlots, handleReseedSlots]);
+
+  // Multi-season scores behind the seeding, shown on each team card
+  const standings = useMemo(() => (
+    historySeasonCount > 0 ? calculateMultiSeasonScores(teams, ranking) : null
+  ), [teams, ranking, historySeasonCount]);
+
+  // Seasons the current seeding actually averages, e.g. "60% 2024 · 40% 2023"
+  const seedingSummary = useMemo(() => {
+    if (historySeasonCount === 0) return null;
+    const seasons = [ranking.season, ...seasonHistory.map(entry => entry.season)];
+    const { weights } = ranking.model;
+    const used = weights.slice(0, seasons.length);
+    const total = used.reduce((sum, weight) => sum + weight, 0);
+    return used
+      .map((weight, index) => `${Math.round((weight / total) * 100)}% ${seasons[index] || 'this season'}`)
+      .join(' · ');
+  }, [ranking, seasonHistory, historySeasonCount]);
+
+  // Weeks whose matchups failed to load (points against leaves them out)
+  const missingPointsAgainstWeeks = useMemo(() => (
+    teams.find(team => team.pointsAgainstMissingWeeks?.length > 0)?.pointsAgainstMissingWeeks || []
+  ), [teams]);
 
   // Create teams map for draft history
   const teamsMap = useMemo(() => {
@@ -578,6 +977,17 @@ function App() {
       .filter(Boolean);
   }, [lotterySlots, teams]);
 
+  // Teams assigned to slots with their slot combinations (for the odds table)
+  const slotTeamsWithCombinations = useMemo(() => {
+    const teamsMap = new Map(teams.map(t => [t.userId, t]));
+    return lotterySlots
+      .map(slot => {
+        const team = slot.teamId ? teamsMap.get(slot.teamId) : null;
+        return team ? { ...team, combinations: slot.combinations } : null;
+      })
+      .filter(Boolean);
+  }, [lotterySlots, teams]);
+
   // Get playoff teams (teams not assigned to any slot)
   // Always filters out teams that are in slots, regardless of mode
   const playoffTeams = useMemo(() => {
@@ -609,8 +1019,10 @@ function App() {
           <LeagueInfo
             league={league}
             drafts={drafts}
+            seasons={Object.keys(leagueSeasons)}
             selectedSeason={selectedSeason}
             onSeasonChange={handleSeasonChange}
+            disabled={loading || isRunning}
           />
         )}
 
@@ -633,19 +1045,34 @@ function App() {
                 error={!!error && !loading}
               />
             </Grid>
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={4} sx={{ display: 'flex', gap: 1 }}>
               <Button
                 fullWidth
                 variant="contained"
                 size="large"
-                onClick={handleLoadTeams}
+                onClick={() => handleLoadTeams()}
                 disabled={loading || isRunning}
                 startIcon={loading ? <CircularProgress size={20} /> : <Refresh />}
               >
                 {loading ? 'Loading...' : 'Load Teams'}
               </Button>
+              <Tooltip title="Force refresh - skip cached Sleeper data">
+                <span>
+                  <IconButton
+                    aria-label="Force refresh"
+                    onClick={() => handleLoadTeams({ forceRefresh: true })}
+                    disabled={loading || isRunning}
+                    sx={{ height: '100%' }}
+                  >
+                    <CloudSync />
+                  </IconButton>
+                </span>
+              </Tooltip>
             </Grid>
           </Grid>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+            Have a lottery record from your commissioner? <Link href={UI.ROUTES.VERIFY}>Verify it independently</Link>
+          </Typography>
         </Box>
 
         {error && (
@@ -654,11 +1081,19 @@ function App() {
           </Alert>
         )}
 
+        {missingPointsAgainstWeeks.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            Points against is incomplete: Sleeper matchups for {missingPointsAgainstWeeks.length === 1 ? 'week' : 'weeks'}{' '}
+            {missingPointsAgainstWeeks.join(', ')} couldn't be loaded, so {missingPointsAgainstWeeks.length === 1 ? 'it is' : 'they are'} left out.
+            Load Teams again to retry.
+          </Alert>
+        )}
+
         {/* Teams and Combinations */}
         {teams.length > 0 && (
           <Box sx={{ mb: 4 }}>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 2 }}>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
                 <FormControl size="small" sx={{ minWidth: 250 }}>
                   <InputLabel id="combination-set-label">Combination Distribution</InputLabel>
                   <Select
@@ -667,7 +1102,7 @@ function App() {
                     value={combinationSet}
                     label="Combination Distribution"
                     onChange={(e) => handleCombinationSetChange(e.target.value)}
-                    disabled={isRunning}
+                    disabled={isRunning || configLocked}
                   >
                     {Object.keys(LOTTERY.COMBINATION_SETS).map((key) => (
                       <MenuItem key={key} value={key}>
@@ -676,12 +1111,150 @@ function App() {
                     ))}
                   </Select>
                 </FormControl>
+                <FormControl size="small" sx={{ minWidth: 230 }}>
+                  <InputLabel id="seeding-model-label">Seeding</InputLabel>
+                  <Select
+                    labelId="seeding-model-label"
+                    id="seeding-model-select"
+                    value={seedingModel}
+                    label="Seeding"
+                    onChange={(e) => setSeedingModel(e.target.value)}
+                    disabled={isRunning || configLocked}
+                  >
+                    {Object.keys(STANDINGS.MODELS).map((key) => (
+                      <MenuItem key={key} value={key}>
+                        {STANDINGS.MODELS[key].name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {historySeasonCount > 0 && (
+                  <FormControl size="small" sx={{ minWidth: 230 }}>
+                    <InputLabel id="missing-seasons-label">Owners Who Joined Mid-Window</InputLabel>
+                    <Select
+                      labelId="missing-seasons-label"
+                      id="missing-seasons-select"
+                      value={missingSeasons}
+                      label="Owners Who Joined Mid-Window"
+                      onChange={(e) => setMissingSeasons(e.target.value)}
+                      disabled={isRunning || configLocked}
+                    >
+                      {Object.keys(STANDINGS.MISSING_SEASONS).map((key) => (
+                        <MenuItem key={key} value={key}>
+                          {STANDINGS.MISSING_SEASONS[key].name}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )}
+                <FormControl size="small" sx={{ minWidth: 220 }}>
+                  <InputLabel id="draw-mode-label">Draw Mode</InputLabel>
+                  <Select
+                    labelId="draw-mode-label"
+                    id="draw-mode-select"
+                    value={drawMode}
+                    label="Draw Mode"
+                    onChange={(e) => setDrawMode(e.target.value)}
+                    disabled={isRunning || configLocked}
+                  >
+                    {Object.keys(LOTTERY.DRAW_MODES).map((key) => (
+                      <MenuItem key={key} value={key}>
+                        {LOTTERY.DRAW_MODES[key].name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl size="small" sx={{ minWidth: 180 }}>
+                  <InputLabel id="lottery-picks-label">Lottery Picks</InputLabel>
+                  <Select
+                    labelId="lottery-picks-label"
+                    id="lottery-picks-select"
+                    value={lotteryPicks && lotteryPicks < lotterySlots.length ? lotteryPicks : 'ALL'}
+                    label="Lottery Picks"
+                    onChange={(e) => setLotteryPicks(e.target.value === 'ALL' ? null : Number(e.target.value))}
+                    disabled={isRunning || configLocked}
+                  >
+                    <MenuItem value="ALL">All picks drawn</MenuItem>
+                    {lotterySlots.slice(1).map((slot, index) => (
+                      <MenuItem key={slot.slotId} value={index + 1}>
+                        Draw top {index + 1}, rest by standings
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl size="small" sx={{ minWidth: 160 }}>
+                  <InputLabel id="max-drop-label">Max Drop</InputLabel>
+                  <Select
+                    labelId="max-drop-label"
+                    id="max-drop-select"
+                    value={maxDrop !== null && maxDrop < lotterySlots.length - 1 ? maxDrop : 'NONE'}
+                    label="Max Drop"
+                    onChange={(e) => setMaxDrop(e.target.value === 'NONE' ? null : Number(e.target.value))}
+                    disabled={isRunning || configLocked}
+                  >
+                    <MenuItem value="NONE">No limit</MenuItem>
+                    {lotterySlots.slice(2).map((slot, index) => (
+                      <MenuItem key={slot.slotId} value={index + 1}>
+                        {index + 1} {index === 0 ? 'spot' : 'spots'}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl size="small" sx={{ minWidth: 200 }}>
+                  <InputLabel id="reveal-mode-label">Reveal</InputLabel>
+                  <Select
+                    labelId="reveal-mode-label"
+                    id="reveal-mode-select"
+                    value={revealMode}
+                    label="Reveal"
+                    onChange={(e) => setRevealMode(e.target.value)}
+                    disabled={isRunning}
+                  >
+                    {Object.keys(LOTTERY.REVEAL_MODES).map((key) => (
+                      <MenuItem key={key} value={key}>
+                        {LOTTERY.REVEAL_MODES[key].name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
                 <Typography variant="body2" color="text.secondary">
                   Total: {calculateTotalCombinations(allCombinationsArray)} / {LOTTERY.TOTAL_COMBINATIONS}
                 </Typography>
               </Box>
             </Box>
             
+            {/* Multi-season seeding: which seasons are averaged, or why they aren't */}
+            {historySeasonCount > 0 && (
+              <Alert severity={historyError ? 'warning' : 'info'} sx={{ mb: 2 }}>
+                {historyLoading
+                  ? 'Loading past seasons from Sleeper...'
+                  : historyError
+                    ? `Past seasons could not be loaded (${historyError}) - seeding uses this season only.`
+                    : seasonHistory.length === 0
+                      ? 'No earlier seasons were found for this league - seeding uses this season only.'
+                      : `Seeded by a weighted average of ${seedingSummary}. Each season scores ${Math.round((1 - STANDINGS.POINTS_FOR_WEIGHT) * 100)}% win percentage and ${Math.round(STANDINGS.POINTS_FOR_WEIGHT * 100)}% points for against the league average. ${STANDINGS.MISSING_SEASONS[missingSeasons].description}.`}
+              </Alert>
+            )}
+
+            {reseedPending && !configLocked && (
+              <Alert
+                severity="warning"
+                sx={{ mb: 2 }}
+                action={(
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button color="inherit" size="small" onClick={handleReseedSlots} disabled={isRunning}>
+                      Re-seed
+                    </Button>
+                    <Button color="inherit" size="small" onClick={() => setReseedPending(false)}>
+                      Keep
+                    </Button>
+                  </Box>
+                )}
+              >
+                The seeding changed after teams were moved by hand. Re-seed the slots from the new standings, or keep your order?
+              </Alert>
+            )}
+
             {/* Wrap both sections in DndContext to enable drag-and-drop */}
             {teams.length > 0 && (
               <DndContext
@@ -707,7 +1280,9 @@ function App() {
                           allCombinations={allCombinationsArray}
                           isCustom={combinationSet === 'CUSTOM'}
                           onCombinationsChange={(value) => handleCombinationsChange(slot.slotId, value)}
-                          disabled={isRunning}
+                          disabled={isRunning || configLocked}
+                          rules={lotteryRules}
+                          standing={standings?.get(team.userId)}
                         />
                       );
                     })}
@@ -726,6 +1301,7 @@ function App() {
                           key={team.userId}
                           team={team}
                           showCombinations={combinationSet === 'CUSTOM'}
+                          disabled={configLocked}
                         />
                       ))}
                     </Box>
@@ -733,27 +1309,58 @@ function App() {
                 )}
               </DndContext>
             )}
+
+            {/* Exact pick odds for the current slot configuration */}
+            <OddsTable teams={slotTeamsWithCombinations} rules={lotteryRules} />
+            <SimulationLab teams={slotTeamsWithCombinations} rules={lotteryRules} />
+            <WebhookSettings
+              settings={webhookSettings}
+              onChange={handleWebhookSettingsChange}
+              lastDelivery={webhookDelivery}
+              disabled={isRunning}
+            />
           </Box>
         )}
 
-        {/* Run Lottery Button */}
-        {teams.length > 0 && !showAnimation && selections.length === 0 && (
+        {/* Locked configuration (fingerprint to share before the draw) */}
+        {teams.length > 0 && lockedConfig && (
+          <ConfigLockPanel
+            lockedConfig={lockedConfig}
+            onUnlock={handleUnlockConfiguration}
+            unlockDisabled={ceremony.status !== CEREMONY_STATES.IDLE}
+          />
+        )}
+
+        {/* Lock Configuration / Run Lottery Button */}
+        {teams.length > 0 && ceremony.status === CEREMONY_STATES.IDLE && (
           <Box sx={{ textAlign: 'center', mb: 4 }}>
-            <Button
-              variant="contained"
-              size="large"
-              onClick={handleRunLottery}
-              startIcon={<PlayArrow />}
-              sx={{ px: 4, py: 1.5 }}
-            >
-              Run Lottery
-            </Button>
+            {lockedConfig ? (
+              <Button
+                variant="contained"
+                size="large"
+                onClick={handleRunLottery}
+                startIcon={<PlayArrow />}
+                sx={{ px: 4, py: 1.5 }}
+              >
+                Run Lottery
+              </Button>
+            ) : (
+              <Button
+                variant="contained"
+                size="large"
+                onClick={handleLockConfiguration}
+                startIcon={<Lock />}
+                sx={{ px: 4, py: 1.5 }}
+              >
+                Lock Configuration
+              </Button>
+            )}
           </Box>
         )}
 
         {/* Lottery Animation - Popup Modal */}
         <Dialog
-          open={showAnimation}
+          open={showDialog}
           maxWidth="lg"
           fullWidth
           onClose={() => {}} // Disable backdrop click closing - only exit button can close
@@ -775,27 +1382,60 @@ function App() {
           <SelectionAnimation
             selection={currentSelection}
             selections={selections}
-            totalTeams={teamsForLottery.length}
+            totalTeams={ceremony.teams.length}
             animationStarted={animationStarted}
             onStart={handleStartAnimation}
             onSkip={handleSkipAnimation}
-            leagueName={league?.name || 'Fantasy Football'}
+            revealPrompt={ceremony.prompt}
+            onReveal={handleRevealNext}
+            isRunning={isRunning}
+            isPaused={isPaused}
+            onPause={handlePauseAnimation}
+            onResume={handleResumeAnimation}
+            leagueName={ceremony.replay?.leagueName || league?.name || 'Fantasy Football'}
+            replayOf={ceremony.replay?.completedAt}
+            commitment={ceremony.proof?.commitment}
+            fingerprint={ceremony.proof?.fingerprint}
           />
         </Dialog>
 
         {/* Results */}
-        {showResults && selections.length > 0 && (
+        {showResults && (
           <LotteryResults
             selections={selections}
             totalTeams={teams.length}
             onReset={handleReset}
+            proof={ceremony.proof}
+            auditLog={auditLog}
+            teams={ceremony.teams}
+            leagueName={ceremony.replay?.leagueName || league?.name}
+            season={ceremony.replay?.season || league?.season || selectedSeason}
+            completedAt={ceremony.replay?.completedAt ?? ceremony.completedAt}
+            permalink={resultsPermalink}
           />
         )}
 
+        {/* Past Lotteries (saved in this browser) */}
+        {teams.length > 0 && (
+          <Box sx={{ mt: 4 }}>
+            <PastLotteries
+              leagueId={league?.league_id || leagueId.trim()}
+              refreshKey={archiveVersion}
+              onReplay={handleReplayLottery}
+              replayDisabled={isRunning || showDialog}
+            />
+          </Box>
+        )}
+
         {/* Draft History */}
         {teams.length > 0 && drafts.length > 0 && (
           <Box sx={{ mt: 4 }}>
-            <DraftHistory drafts={drafts} teamsMap={teamsMap} />
+            <DraftHistory
+              key={refreshedAt || 'cached'}
+              drafts={drafts}
+              teamsMap={teamsMap}
+              claimForceRefresh={claimForceRefresh}
+            />
           </Box>
         )}
       </Paper>
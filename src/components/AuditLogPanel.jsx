@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Box,
+  Button,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { ExpandMore, Download, VerifiedUser, GppBad } from '@mui/icons-material';
+import { verifyAuditLog } from '../utils/auditLog';
+import { formatBallCombination } from '../utils/pingPongLottery';
+import { downloadJson } from '../utils/download';
+
+/**
+ * One-sentence explanation of how a pick was decided
+ */
+function describeEntry(entry) {
+  const { method, winner, randomNumber, totalCombinations, balls, redraws } = entry;
+  const winnerRange = entry.remaining.find(team => team.slot === winner.slot);
+
+  switch (method) {
+    case 'RANGE':
+      return `Drew number ${randomNumber} of ${totalCombinations}. ${winner.teamName} held ${winnerRange.rangeStart}-${winnerRange.rangeEnd}.`;
+    case 'PING_PONG':
+      return `Drew balls ${formatBallCombination(balls)}${redraws ? ` after ${redraws} ${redraws === 1 ? 'redraw' : 'redraws'}` : ''}. `
+        + `The combination is in ${winner.teamName}'s block ${winnerRange.rangeStart}-${winnerRange.rangeEnd}.`;
+    case 'MAX_DROP':
+      return `No draw: ${winner.teamName} could not fall any further under the max-drop rule.`;
+    case 'STANDINGS':
+      return `No draw: the lottery was over, so ${winner.teamName} picked next by standings.`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * AuditLogPanel component showing how every pick was drawn
+ * @param {Object} props
+ * @param {Object} props.auditLog - Hash-chained audit log (see utils/auditLog.js)
+ */
+export function AuditLogPanel({ auditLog }) {
+  const [verification, setVerification] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setVerification(null);
+    verifyAuditLog(auditLog).then((result) => {
+      if (!cancelled) setVerification(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [auditLog]);
+
+  const handleDownload = useCallback(() => {
+    downloadJson(auditLog, `lottery-audit-${(auditLog.commitment || auditLog.headHash).slice(0, 12)}.json`);
+  }, [auditLog]);
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="subtitle1">Audit Log</Typography>
+          {verification && (
+            <Chip
+              size="small"
+              icon={verification.isValid ? <VerifiedUser /> : <GppBad />}
+              label={verification.isValid ? 'Hash chain intact' : verification.error}
+              color={verification.isValid ? 'success' : 'error'}
+              variant="outlined"
+            />
+          )}
+        </Box>
+        <Button size="small" variant="outlined" startIcon={<Download />} onClick={handleDownload}>
+          Download Audit Log
+        </Button>
+      </Box>
+
+      {auditLog.entries.map((entry) => (
+        <Accordion key={entry.index} disableGutters>
+          <AccordionSummary expandIcon={<ExpandMore />}>
+            <Typography variant="body2">
+              How Pick #{entry.pickNumber} was drawn - <strong>{entry.winner.teamName}</strong>
+            </Typography>
+          </AccordionSummary>
+          <AccordionDetails>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {describeEntry(entry)}
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Team still in the draw</TableCell>
+                    <TableCell align="right">Combinations</TableCell>
+                    <TableCell align="right">Range</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entry.remaining.map(team => (
+                    <TableRow
+                      key={team.userId}
+                      sx={{ bgcolor: team.slot === entry.winner.slot ? 'success.light' : 'transparent' }}
+                    >
+                      <TableCell>{team.teamName}</TableCell>
+                      <TableCell align="right">{team.combinations}</TableCell>
+                      <TableCell align="right">
+                        {team.rangeStart !== null ? `${team.rangeStart}-${team.rangeEnd}` : '-'}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+              Previous hash:
+            </Typography>
+            <Typography variant="caption" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', display: 'block' }}>
+              {entry.prevHash}
+            </Typography>
+            <Typography variant="caption" color="text.secondary" display="block">
+              Entry hash:
+            </Typography>
+            <Typography variant="caption" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', display: 'block' }}>
+              {entry.hash}
+            </Typography>
+          </AccordionDetails>
+        </Accordion>
+      ))}
+    </Box>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useState, useCallback } from 'react';
+import { Box, Typography, Button, Alert } from '@mui/material';
+import { Lock, LockOpen, ContentCopy, Download } from '@mui/icons-material';
+import { downloadFile } from '../utils/download';
+
+/**
+ * ConfigLockPanel component showing a locked lottery configuration and its fingerprint
+ * @param {Object} props
+ * @param {Object} props.lockedConfig - { canonicalJson, fingerprint, lockedAt } of the locked configuration
+ * @param {Function} props.onUnlock - Callback to unlock the configuration for editing
+ * @param {boolean} props.unlockDisabled - Disable unlocking (e.g., once the lottery has been armed)
+ */
+export function ConfigLockPanel({ lockedConfig, onUnlock, unlockDisabled = false }) {
+  const [copied, setCopied] = useState(false);
+  const { canonicalJson, fingerprint, lockedAt } = lockedConfig;
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(canonicalJson);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy configuration:', err);
+    }
+  }, [canonicalJson]);
+
+  // Saved byte-for-byte, so `sha256sum` of the file equals the fingerprint
+  const handleDownload = useCallback(() => {
+    downloadFile(canonicalJson, `lottery-config-${fingerprint.slice(0, 12)}.json`, 'application/json');
+  }, [canonicalJson, fingerprint]);
+
+  return (
+    <Alert
+      severity="info"
+      icon={<Lock />}
+      sx={{ mb: 3, '& .MuiAlert-message': { width: '100%', minWidth: 0 } }}
+    >
+      <Typography variant="subtitle2">
+        Configuration locked {new Date(lockedAt).toLocaleTimeString(undefined, { timeStyle: 'short' })}
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        Slots, combinations and rules are frozen. Share the configuration and its fingerprint with the league
+        before running the lottery - anyone can check the fingerprint is the SHA-256 of the configuration JSON.
+      </Typography>
+      <Typography variant="caption" color="text.secondary" display="block">
+        Fingerprint:
+      </Typography>
+      <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 1 }}>
+        {fingerprint}
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+        <Button size="small" variant="outlined" startIcon={<ContentCopy />} onClick={handleCopy}>
+          {copied ? 'Copied' : 'Copy JSON'}
+        </Button>
+        <Button size="small" variant="outlined" startIcon={<Download />} onClick={handleDownload}>
+          Download JSON
+        </Button>
+        <Button size="small" startIcon={<LockOpen />} onClick={onUnlock} disabled={unlockDisabled}>
+          Unlock
+        </Button>
+      </Box>
+    </Alert>
+  );
+}
@@ -85,8 +85,10 @@ function organizePicksByTeam(picks) {
  * @param {Object} props
  * @param {Array} props.drafts - Array of draft objects
  * @param {Object} props.teamsMap - Map of userId to team object
+ * @param {Function} props.claimForceRefresh - (key) => whether to skip cached data for it; true only the
+ *   first time a draft is loaded after a forced refresh (optional)
  */
-export function DraftHistory({ drafts, teamsMap }) {
+export function DraftHistory({ drafts, teamsMap, claimForceRefresh = null }) {
   const [expandedDraft, setExpandedDraft] = useState(null);
   const [draftPicks, setDraftPicks] = useState({});
   const [loading, setLoading] = useState({});
@@ -99,8 +101,10 @@ export function DraftHistory({ drafts, teamsMap }) {
       setErrors(prev => ({ ...prev, [draftId]: null }));
 
       try {
-        const picks = await getDraftPicks(draftId);
-        const draft = await getDraft(draftId);
+        const forceRefresh = claimForceRefresh ? claimForceRefresh(`draft:${draftId}`) : false;
+        const draft = await getDraft(draftId, { forceRefresh });
+        // Picks of a completed draft are cached for good
+        const picks = await getDraftPicks(draftId, { completed: draft?.status === 'complete', forceRefresh });
         
         // Sort picks by round and pick number
         const sortedPicks = picks.sort((a, b) => {
@@ -143,7 +147,7 @@ export function DraftHistory({ drafts, teamsMap }) {
         [draftId]: 'all',
       }));
     }
-  }, []);
+  }, [draftPicks, claimForceRefresh]);
 
   const handleTeamFilterChange = useCallback((draftId, teamId) => {
     setSelectedTeamFilter(prev => ({
@@ -7,9 +7,11 @@ import { Box } from '@mui/material';
 
 /**
  * TeamCard that is both draggable and droppable - allows swapping between lottery and playoff
- * @param {Object} props - Same props as TeamCard
+ * @param {Object} props - Same props as TeamCard (disabled also turns off dragging and dropping)
  */
 export function DraggableAndDroppableTeamCard({ team, ...teamCardProps }) {
+  const { disabled = false } = teamCardProps;
+
   const {
     attributes: dragAttributes,
     listeners: dragListeners,
@@ -18,6 +20,7 @@ export function DraggableAndDroppableTeamCard({ team, ...teamCardProps }) {
     isDragging,
   } = useDraggable({
     id: team.userId,
+    disabled,
   });
 
   const {
@@ -25,6 +28,7 @@ export function DraggableAndDroppableTeamCard({ team, ...teamCardProps }) {
     isOver,
   } = useDroppable({
     id: team.userId,
+    disabled,
   });
 
   // Combine both refs using a callback
@@ -61,12 +65,12 @@ export function DraggableAndDroppableTeamCard({ team, ...teamCardProps }) {
             zIndex: 1,
             display: 'flex',
             alignItems: 'center',
-            cursor: isDragging ? 'grabbing' : 'grab',
-            color: 'text.secondary',
+            cursor: disabled ? 'default' : isDragging ? 'grabbing' : 'grab',
+            color: disabled ? 'action.disabled' : 'text.secondary',
             paddingLeft: 1,
             paddingRight: 1,
-            '&:hover': { color: 'primary.main' },
-            '&:active': { cursor: 'grabbing' },
+            '&:hover': { color: disabled ? 'action.disabled' : 'primary.main' },
+            '&:active': { cursor: disabled ? 'default' : 'grabbing' },
           }}
         >
           <DragIndicator />
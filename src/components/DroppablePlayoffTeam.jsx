@@ -10,8 +10,9 @@ import { TeamNameWithAvatar } from './TeamNameWithAvatar';
  * @param {Object} props
  * @param {Object} props.team - Team object
  * @param {boolean} props.showCombinations - Whether to show "(0 combinations)" text
+ * @param {boolean} props.disabled - Turn off dragging and dropping (e.g., configuration locked)
  */
-export function DroppablePlayoffTeam({ team, showCombinations = false }) {
+export function DroppablePlayoffTeam({ team, showCombinations = false, disabled = false }) {
   const {
     attributes: dragAttributes,
     listeners: dragListeners,
@@ -20,6 +21,7 @@ export function DroppablePlayoffTeam({ team, showCombinations = false }) {
     isDragging,
   } = useDraggable({
     id: team.userId,
+    disabled,
   });
 
   const {
@@ -27,6 +29,7 @@ export function DroppablePlayoffTeam({ team, showCombinations = false }) {
     isOver,
   } = useDroppable({
     id: team.userId,
+    disabled,
   });
 
   // Combine both refs using a callback (same as lottery team)
@@ -58,8 +61,8 @@ export function DroppablePlayoffTeam({ team, showCombinations = false }) {
           borderRadius: 1,
           border: '1px solid',
           borderColor: isOver ? 'primary.main' : 'divider',
-          cursor: isDragging ? 'grabbing' : 'grab',
-          '&:hover': {
+          cursor: disabled ? 'default' : isDragging ? 'grabbing' : 'grab',
+          '&:hover': disabled ? {} : {
             borderColor: 'primary.main',
             bgcolor: 'action.hover',
           },
@@ -69,10 +72,10 @@ export function DroppablePlayoffTeam({ team, showCombinations = false }) {
         sx={{
           display: 'flex',
           alignItems: 'center',
-          cursor: 'grab',
-          color: 'text.secondary',
-          '&:hover': { color: 'primary.main' },
-          '&:active': { cursor: 'grabbing' },
+          cursor: disabled ? 'default' : 'grab',
+          color: disabled ? 'action.disabled' : 'text.secondary',
+          '&:hover': { color: disabled ? 'action.disabled' : 'primary.main' },
+          '&:active': { cursor: disabled ? 'default' : 'grabbing' },
         }}
       >
         <DragIndicator />
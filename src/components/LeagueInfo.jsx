@@ -33,26 +33,26 @@ function formatLeagueType(league) {
 }
 
 /**
- * Get available seasons from league and drafts
+ * Get available seasons from league history, league and drafts
  */
-function getAvailableSeasons(league, drafts = []) {
-  const seasons = new Set();
+function getAvailableSeasons(league, drafts = [], historySeasons = []) {
+  const seasons = new Set(historySeasons.map(String));
   
   // Add current league season
   if (league?.season) {
-    seasons.add(league.season);
+    seasons.add(String(league.season));
   }
   
   // Add seasons from drafts
   drafts.forEach(draft => {
     if (draft.season) {
-      seasons.add(draft.season);
+      seasons.add(String(draft.season));
     }
   });
   
   // If no seasons found, add current year
   if (seasons.size === 0) {
-    seasons.add(new Date().getFullYear());
+    seasons.add(String(new Date().getFullYear()));
   }
   
   return Array.from(seasons).sort((a, b) => b - a); // Sort descending (newest first)
@@ -63,19 +63,21 @@ function getAvailableSeasons(league, drafts = []) {
  * @param {Object} props
  * @param {Object} props.league - League data object
  * @param {Array} props.drafts - Array of draft objects (for determining available seasons)
- * @param {number} props.selectedSeason - Currently selected season
+ * @param {Array<string>} props.seasons - Seasons found in the league's previous_league_id history
+ * @param {string} props.selectedSeason - Currently selected season
  * @param {Function} props.onSeasonChange - Callback when season changes
+ * @param {boolean} props.disabled - Disable the season select (e.g., while loading)
  */
-export function LeagueInfo({ league, drafts = [], selectedSeason, onSeasonChange }) {
+export function LeagueInfo({ league, drafts = [], seasons = [], selectedSeason, onSeasonChange, disabled = false }) {
   if (!league) return null;
 
-  const availableSeasons = getAvailableSeasons(league, drafts);
+  const availableSeasons = getAvailableSeasons(league, drafts, seasons);
   // Default to most recent season (first in sorted array) if selectedSeason is not set
   // or if selectedSeason is not in available seasons
   const mostRecentSeason = availableSeasons.length > 0 ? availableSeasons[0] : formatSeason(league);
-  const currentSeason = (selectedSeason && availableSeasons.includes(selectedSeason)) 
-    ? selectedSeason 
-    : mostRecentSeason;
+  const currentSeason = (selectedSeason && availableSeasons.includes(String(selectedSeason))) 
+    ? String(selectedSeason) 
+    : String(mostRecentSeason);
 
   return (
     <Paper elevation={2} sx={{ p: 3, mb: 3, background: 'linear-gradient(135deg, #667eea15 0%, #764ba215 100%)' }}>
@@ -99,7 +101,8 @@ export function LeagueInfo({ league, drafts = [], selectedSeason, onSeasonChange
               id="season-select"
               value={currentSeason}
               label="Season"
-              onChange={(e) => onSeasonChange && onSeasonChange(Number(e.target.value))}
+              onChange={(e) => onSeasonChange && onSeasonChange(e.target.value)}
+              disabled={disabled}
             >
               {availableSeasons.map((season) => (
                 <MenuItem key={season} value={season}>
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import {
   Box,
   Typography,
@@ -8,9 +8,14 @@ import {
   ListItemText,
   ListItemAvatar,
   Chip,
+  Alert,
 } from '@mui/material';
-import { EmojiEvents, Refresh } from '@mui/icons-material';
+import { EmojiEvents, Refresh, Download, Image, Link as LinkIcon } from '@mui/icons-material';
 import { TeamAvatar } from './TeamAvatar';
+import { formatBallCombination } from '../utils/pingPongLottery';
+import { AuditLogPanel } from './AuditLogPanel';
+import { summarizeLotteryResults, formatResultsCsv, formatResultsJson, renderResultsCard } from '../utils/resultsExport';
+import { downloadFile, downloadJson } from '../utils/download';
 
 /**
  * Helper function to get position color for chip
@@ -46,29 +51,109 @@ function getPositionLabel(position, total, pickNumber = null) {
  * @param {Object} props
  * @param {Array} props.selections - Array of selected teams in order
  * @param {number} props.totalTeams - Total number of teams
- * @param {Function} props.onReset - Callback when reset button is clicked
+ * @param {Function} props.onReset - Callback when reset button is clicked (no Reset button if omitted)
+ * @param {Object} props.proof - Commit-reveal proof ({ seed, commitment, fingerprint }) for the draw
+ * @param {Object} props.auditLog - Hash-chained audit log of every pick (optional)
+ * @param {Array} props.teams - Teams in pre-lottery slot order with combinations (enables exports)
+ * @param {string} props.leagueName - League name for exports
+ * @param {string|number} props.season - Season for exports
+ * @param {number} props.completedAt - When the lottery finished (ms since epoch)
+ * @param {string} props.permalink - Shareable URL of these results (optional)
+ * @param {boolean} props.commitmentAnnounced - Whether this app published the commitment before the draw;
+ *   false when it only comes with the results (e.g. from a permalink)
  */
-export function LotteryResults({ selections, totalTeams, onReset }) {
+export function LotteryResults({ selections, totalTeams, onReset, proof = null, auditLog = null, teams = null, leagueName = null, season = null, completedAt = null, permalink = null, commitmentAnnounced = true }) {
+  const [exportError, setExportError] = useState(null);
+  const [rendering, setRendering] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
   // Reverse selections to show Pick #1 (winner) at top, then #2, #3, etc. downward
   // Selections come in as [worst pick, ..., Pick #2, Pick #1 (winner)]
   // We want to display as [Pick #1 (winner), Pick #2, ..., worst pick]
   const reversedSelections = [...selections].reverse();
 
+  const buildSummary = useCallback(() => summarizeLotteryResults({
+    selections,
+    teams,
+    rules: proof?.rules,
+    leagueName,
+    season,
+    proof,
+    completedAt,
+  }), [selections, teams, proof, leagueName, season, completedAt]);
+
+  const fileName = `${(leagueName || 'lottery').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${season || 'results'}`;
+
+  const handleExportCsv = useCallback(() => {
+    downloadFile(formatResultsCsv(buildSummary()), `${fileName}.csv`, 'text/csv');
+  }, [buildSummary, fileName]);
+
+  const handleExportJson = useCallback(() => {
+    downloadJson(formatResultsJson(buildSummary()), `${fileName}.json`);
+  }, [buildSummary, fileName]);
+
+  const handleCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(permalink);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      setExportError('Could not copy the link - copy it from the address bar instead');
+    }
+  }, [permalink]);
+
+  const handleExportImage = useCallback(async () => {
+    setExportError(null);
+    setRendering(true);
+    try {
+      downloadFile(await renderResultsCard(buildSummary()), `${fileName}.png`);
+    } catch (err) {
+      setExportError(err.message || 'Failed to render the results image');
+    } finally {
+      setRendering(false);
+    }
+  }, [buildSummary, fileName]);
+
   return (
     <Box>
-      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2, mb: 3 }}>
         <Typography variant="h5">
           <EmojiEvents sx={{ verticalAlign: 'middle', mr: 1 }} />
           Lottery Results
         </Typography>
-        <Button
-          variant="outlined"
-          onClick={onReset}
-          startIcon={<Refresh />}
-        >
-          Reset
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+          {teams && (
+            <>
+              <Button size="small" variant="outlined" startIcon={<Download />} onClick={handleExportCsv}>
+                CSV
+              </Button>
+              <Button size="small" variant="outlined" startIcon={<Download />} onClick={handleExportJson}>
+                JSON
+              </Button>
+              <Button size="small" variant="outlined" startIcon={<Image />} onClick={handleExportImage} disabled={rendering}>
+                {rendering ? 'Rendering...' : 'Image'}
+              </Button>
+            </>
+          )}
+          {permalink && (
+            <Button size="small" variant="outlined" startIcon={<LinkIcon />} onClick={handleCopyLink}>
+              {linkCopied ? 'Copied' : 'Copy Link'}
+            </Button>
+          )}
+          {onReset && (
+            <Button
+              variant="outlined"
+              onClick={onReset}
+              startIcon={<Refresh />}
+            >
+              Reset
+            </Button>
+          )}
+        </Box>
       </Box>
+      {exportError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setExportError(null)}>{exportError}</Alert>
+      )}
       <List>
         {reversedSelections.map((selection, index) => (
           <ListItem
@@ -99,11 +184,55 @@ export function LotteryResults({ selections, totalTeams, onReset }) {
                   />
                 </Box>
               }
-              secondary={`Record: ${selection.wins}-${selection.losses}`}
+              secondary={[
+                `Record: ${selection.wins}-${selection.losses}`,
+                selection.balls && `Balls: ${formatBallCombination(selection.balls)}`,
+                selection.forced && 'Protected by max-drop rule',
+                selection.drawn === false && !selection.forced && 'Assigned by standings',
+              ].filter(Boolean).join(' · ')}
             />
           </ListItem>
         ))}
       </List>
+      {proof && (
+        <Box sx={{ mt: 2, p: 2, bgcolor: 'background.default', borderRadius: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Fairness Proof
+          </Typography>
+          {proof.fingerprint && (
+            <>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Locked configuration fingerprint:
+              </Typography>
+              <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 1 }}>
+                {proof.fingerprint}
+              </Typography>
+            </>
+          )}
+          <Typography variant="caption" color="text.secondary" display="block">
+            {commitmentAnnounced ? 'Commitment (published before the draw):' : 'Commitment (as given with these results):'}
+          </Typography>
+          {proof.commitment ? (
+            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 1 }}>
+              {proof.commitment}
+            </Typography>
+          ) : (
+            <Typography variant="body2" color="warning.main" sx={{ mb: 1 }}>
+              None - this draw isn't tied to a commitment, so the seed can't be checked
+            </Typography>
+          )}
+          <Typography variant="caption" color="text.secondary" display="block">
+            Revealed seed:
+          </Typography>
+          <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+            {proof.seed}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+            SHA-256(seed | slot configuration) must equal the commitment, and re-running the draw with this seed reproduces the pick order above.
+          </Typography>
+        </Box>
+      )}
+      {auditLog && <AuditLogPanel auditLog={auditLog} />}
     </Box>
   );
 }
@@ -0,0 +1,106 @@
+import React, { useMemo } from 'react';
+import {
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Alert,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { ExpandMore, TableChart } from '@mui/icons-material';
+import { computeExactOddsMatrix, computeExpectedPicks } from '../utils/exactOdds';
+import { TeamNameWithAvatar } from './TeamNameWithAvatar';
+
+/**
+ * Format a probability cell (blank for impossible outcomes, like NBAODDS.csv)
+ */
+function formatOdds(percentage) {
+  if (percentage <= 0) return '';
+  if (percentage < 0.05) return '>0.0';
+  return percentage.toFixed(1);
+}
+
+/**
+ * OddsTable component showing every team's exact chance at every pick
+ * @param {Object} props
+ * @param {Array<Object>} props.teams - Teams in slot order (worst record first) with combinations
+ * @param {Object} props.rules - Lottery rules (lotteryPicks, maxDrop, ...)
+ */
+export function OddsTable({ teams, rules }) {
+  const { matrix, expectedPicks, error } = useMemo(() => {
+    try {
+      const exact = computeExactOddsMatrix(teams.map(t => t.combinations), rules);
+      return { matrix: exact, expectedPicks: computeExpectedPicks(exact), error: null };
+    } catch (err) {
+      return { matrix: null, expectedPicks: null, error: err.message };
+    }
+  }, [teams, rules]);
+
+  if (teams.length === 0) return null;
+
+  return (
+    <Accordion sx={{ mt: 2 }}>
+      <AccordionSummary expandIcon={<ExpandMore />}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TableChart color="action" />
+          <Typography variant="subtitle1">Pick Odds</Typography>
+          <Typography variant="caption" color="text.secondary">
+            (exact, every team at every pick)
+          </Typography>
+        </Box>
+      </AccordionSummary>
+      <AccordionDetails>
+        {error ? (
+          <Alert severity="info">{error}</Alert>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Team</TableCell>
+                  {teams.map((_, pickIndex) => (
+                    <TableCell key={pickIndex} align="right">{pickIndex + 1}</TableCell>
+                  ))}
+                  <TableCell align="right">Avg</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {teams.map((team, slotIndex) => (
+                  <TableRow key={team.userId}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      <TeamNameWithAvatar
+                        avatar={team.avatar}
+                        teamName={team.teamName}
+                        variant="body2"
+                        avatarSize={20}
+                        spacing={0.5}
+                      />
+                    </TableCell>
+                    {matrix[slotIndex].map((percentage, pickIndex) => (
+                      <TableCell
+                        key={pickIndex}
+                        align="right"
+                        sx={{ bgcolor: percentage > 0 ? `rgba(102, 126, 234, ${Math.min(percentage / 100, 1) * 0.6})` : 'transparent' }}
+                      >
+                        {formatOdds(percentage)}
+                      </TableCell>
+                    ))}
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                      {expectedPicks[slotIndex].toFixed(1)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </AccordionDetails>
+    </Accordion>
+  );
+}
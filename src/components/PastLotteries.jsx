@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Alert,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { ExpandMore, History, Delete, Replay, Download, VerifiedUser } from '@mui/icons-material';
+import { listLotteries, deleteLottery } from '../services/lotteryArchive';
+import { calculatePercentages } from '../utils/combinations';
+import { computeExactOddsMatrix, computeExpectedPicks } from '../utils/exactOdds';
+import { downloadJson } from '../utils/download';
+import { LOTTERY, UI } from '../constants';
+import { TeamNameWithAvatar } from './TeamNameWithAvatar';
+
+/**
+ * Format a timestamp for display
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return 'Unknown date';
+  return new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
+/**
+ * Describe the rules a lottery ran with
+ */
+function formatRules(record) {
+  const { rules = {}, slots = [] } = record;
+  return [
+    LOTTERY.COMBINATION_SETS[record.combinationSet]?.name,
+    LOTTERY.DRAW_MODES[rules.drawMode]?.name,
+    rules.lotteryPicks && rules.lotteryPicks < slots.length
+      ? `Top ${rules.lotteryPicks} drawn`
+      : 'All picks drawn',
+    rules.maxDrop !== null && rules.maxDrop !== undefined
+      ? `Max drop ${rules.maxDrop}`
+      : null,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Odds table for one archived lottery: what every team's chances were and where it landed
+ */
+function ArchivedLotteryDetails({ record }) {
+  const combinations = record.slots.map(slot => slot.combinations);
+  const pickOneOdds = calculatePercentages(combinations, record.rules);
+
+  let expectedPicks = null;
+  try {
+    expectedPicks = computeExpectedPicks(computeExactOddsMatrix(combinations, record.rules));
+  } catch {
+    // Too many teams for exact odds - the column is left out
+  }
+
+  const pickByUserId = new Map(record.selections.map(selection => [selection.userId, selection.pickNumber]));
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {formatRules(record)}
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Slot</TableCell>
+              <TableCell>Team</TableCell>
+              <TableCell align="right">Combinations</TableCell>
+              <TableCell align="right">#1 Odds</TableCell>
+              {expectedPicks && <TableCell align="right">Expected Pick</TableCell>}
+              <TableCell align="right">Result</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {record.slots.map((slot, index) => {
+              const pickNumber = pickByUserId.get(slot.userId);
+              return (
+                <TableRow key={slot.userId}>
+                  <TableCell>{slot.slot + 1}</TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                    <TeamNameWithAvatar
+                      avatar={slot.avatar}
+                      teamName={slot.teamName}
+                      variant="body2"
+                      avatarSize={20}
+                      spacing={0.5}
+                    />
+                    <Typography variant="caption" color="text.secondary">
+                      {slot.wins}-{slot.losses}{slot.ties ? `-${slot.ties}` : ''}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">{slot.combinations}</TableCell>
+                  <TableCell align="right">{pickOneOdds[index].toFixed(1)}%</TableCell>
+                  {expectedPicks && <TableCell align="right">{expectedPicks[index].toFixed(1)}</TableCell>}
+                  <TableCell align="right" sx={{ fontWeight: pickNumber === 1 ? 'bold' : 'normal' }}>
+                    {pickNumber === 1 ? '🏆 #1' : `#${pickNumber}`}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <Box sx={{ mt: 2 }}>
+        <Typography variant="caption" color="text.secondary" display="block">
+          Commitment:
+        </Typography>
+        <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 1 }}>
+          {record.commitment}
+        </Typography>
+        <Typography variant="caption" color="text.secondary" display="block">
+          Seed:
+        </Typography>
+        <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+          {record.seed}
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
+
+/**
+ * PastLotteries component listing every saved lottery for a league
+ * @param {Object} props
+ * @param {string} props.leagueId - Sleeper league ID
+ * @param {number} props.refreshKey - Changes whenever a lottery is saved, to reload the list
+ * @param {Function} props.onReplay - Callback to replay an archived lottery (receives the record)
+ * @param {boolean} props.replayDisabled - Disable replay (e.g., while a ceremony is running)
+ */
+export function PastLotteries({ leagueId, refreshKey = 0, onReplay, replayDisabled = false }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null); // Record waiting for delete confirmation
+
+  useEffect(() => {
+    if (!leagueId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    listLotteries(leagueId)
+      .then((list) => {
+        if (!cancelled) setRecords(list);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load past lotteries');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [leagueId, refreshKey]);
+
+  // Deleting is permanent, so it only runs once confirmed in the dialog
+  const handleDelete = useCallback(async (id) => {
+    setPendingDelete(null);
+    try {
+      await deleteLottery(id);
+      setRecords(prev => prev.filter(record => record.id !== id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete lottery');
+    }
+  }, []);
+
+  const handleDownload = useCallback((record) => {
+    downloadJson(record, `lottery-${record.season || 'record'}-${record.commitment.slice(0, 12)}.json`);
+  }, []);
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <History sx={{ mr: 1 }} />
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Past Lotteries
+        </Typography>
+        <Button size="small" startIcon={<VerifiedUser />} href={UI.ROUTES.VERIFY}>
+          Verify a Record
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+      )}
+
+      {loading && records.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : records.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No lotteries saved for this league yet. Completed lotteries are saved automatically.
+        </Typography>
+      ) : (
+        records.map((record) => {
+          const winner = record.selections.find(selection => selection.pickNumber === 1);
+          return (
+            <Accordion key={record.id}>
+              <AccordionSummary expandIcon={<ExpandMore />}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+                  {record.season && (
+                    <Chip label={`${record.season} Season`} size="small" color="primary" />
+                  )}
+                  <Typography variant="body2" color="text.secondary">
+                    {formatDate(record.completedAt)}
+                  </Typography>
+                  {winner && (
+                    <TeamNameWithAvatar
+                      avatar={winner.avatar}
+                      teamName={`🏆 ${winner.teamName}`}
+                      variant="body2"
+                      avatarSize={24}
+                      spacing={0.5}
+                    />
+                  )}
+                </Box>
+              </AccordionSummary>
+              <AccordionDetails>
+                <ArchivedLotteryDetails record={record} />
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    startIcon={<Download />}
+                    onClick={() => handleDownload(record)}
+                  >
+                    Download Record
+                  </Button>
+                  {onReplay && (
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      startIcon={<Replay />}
+                      onClick={() => onReplay(record)}
+                      disabled={replayDisabled}
+                    >
+                      Replay Ceremony
+                    </Button>
+                  )}
+                  <Button
+                    size="small"
+                    color="error"
+                    startIcon={<Delete />}
+                    onClick={() => setPendingDelete(record)}
+                  >
+                    Delete
+                  </Button>
+                </Box>
+              </AccordionDetails>
+            </Accordion>
+          );
+        })
+      )}
+
+      <Dialog open={pendingDelete !== null} onClose={() => setPendingDelete(null)}>
+        <DialogTitle>Delete this lottery?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {pendingDelete && `The ${pendingDelete.season ? `${pendingDelete.season} ` : ''}lottery from ${formatDate(pendingDelete.completedAt)} will be removed from this browser. `}
+            This record is the league&apos;s proof of the draw and can&apos;t be recovered - download it first if anyone may want to verify it later.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => handleDownload(pendingDelete)} startIcon={<Download />}>
+            Download Record
+          </Button>
+          <Button onClick={() => setPendingDelete(null)}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" startIcon={<Delete />} onClick={() => handleDelete(pendingDelete.id)}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
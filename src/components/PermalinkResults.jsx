@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { ArrowBack } from '@mui/icons-material';
+import { getLeague, getLeagueTeams } from '../services/sleeperApi';
+import { decodeResultsPermalink } from '../utils/permalink';
+import { verifyLotteryRecord } from '../utils/fairnessProof';
+import { createAuditLog } from '../utils/auditLog';
+import { UI } from '../constants';
+import { LotteryResults } from './LotteryResults';
+
+/**
+ * Decode a permalink, verify it and dress its picks with current Sleeper team data
+ * @param {string} token - Permalink token
+ * @returns {Promise<Object>} { link, verification, league, teams, selections, proof, auditLog, teamsError }
+ */
+async function loadPermalink(token) {
+  const link = decodeResultsPermalink(token);
+  const verification = await verifyLotteryRecord(link);
+
+  let league = null;
+  let sleeperTeams = [];
+  let teamsError = null;
+  try {
+    league = await getLeague(link.leagueId);
+    // Names and avatars only - skip the points-against matchup requests
+    sleeperTeams = await getLeagueTeams(link.leagueId, league, { includePointsAgainst: false });
+  } catch (err) {
+    teamsError = err.message || 'Failed to load teams from Sleeper';
+  }
+
+  const teamById = new Map(sleeperTeams.map(team => [team.userId, team]));
+  const describe = userId => teamById.get(userId) || {
+    userId,
+    teamName: `Unknown team (${userId})`,
+    avatar: null,
+    wins: 0,
+    losses: 0,
+  };
+
+  const teams = link.slots.map(slot => ({ ...describe(slot.userId), combinations: slot.combinations }));
+  const total = link.selections.length;
+
+  // Verified picks carry the reproduced draw details (balls, forced, drawn)
+  const selections = link.selections
+    .map((selection) => {
+      const pick = verification.picks[selection.pickNumber - 1];
+      return {
+        ...(pick?.matches ? pick.expected : {}),
+        ...describe(selection.userId),
+        pickNumber: selection.pickNumber,
+        position: total - selection.pickNumber + 1,
+      };
+    })
+    .sort((a, b) => b.pickNumber - a.pickNumber);
+
+  // The commitment is the one carried by the link (published before the draw),
+  // never one recomputed from the link's own seed - that would always match
+  const proof = {
+    seed: link.seed,
+    commitment: link.commitment,
+    fingerprint: link.fingerprint,
+    rules: link.rules,
+  };
+  const auditLog = verification.isValid ? await createAuditLog(teams, proof) : null;
+
+  return { link, verification, league, teams, selections, proof, auditLog, teamsError };
+}
+
+/**
+ * Headline for a permalink's verification result
+ */
+function summarizeVerification(verification) {
+  if (verification.isValid) {
+    return {
+      severity: 'success',
+      message: `The seed matches the commitment in this link, and re-running the draw reproduces all ${verification.picks.length} picks. Whoever made the link chose both, so compare the commitment below with the one announced before the draw.`,
+    };
+  }
+  if (verification.fingerprintValid === false) {
+    return { severity: 'error', message: 'Not verified: the slot configuration in this link does not match its fingerprint.' };
+  }
+  if (verification.commitmentValid === false) {
+    return { severity: 'error', message: "Not verified: this link's seed and configuration do not match its commitment." };
+  }
+  if (verification.firstDivergence !== null) {
+    return {
+      severity: 'error',
+      message: `Not verified: the pick order in this link diverges from the reproduced draw at Pick #${verification.firstDivergence}.`,
+    };
+  }
+  if (!verification.selectionsMatch) {
+    return { severity: 'error', message: 'Not verified: the pick order in this link is incomplete.' };
+  }
+  return {
+    severity: 'warning',
+    message: 'Not verified: the picks reproduce from this link\'s seed, but the link has no commitment, so nothing ties the seed to a value published before the draw.',
+  };
+}
+
+/**
+ * PermalinkResults component: results view opened from a shareable link
+ * @param {Object} props
+ * @param {string} props.token - Permalink token from the URL (see utils/permalink.js)
+ */
+export function PermalinkResults({ token }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setError(null);
+
+    loadPermalink(token)
+      .then((loaded) => {
+        if (!cancelled) setData(loaded);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to open the results link');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const verification = data?.verification;
+  const summary = verification ? summarizeVerification(verification) : null;
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper elevation={3} sx={{ p: 4, background: 'rgba(255, 255, 255, 0.95)' }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+          <Typography variant="h5">
+            {data?.league?.name ? `${data.league.name} Draft Lottery` : 'Draft Lottery'}
+            {data?.link.season && (
+              <Typography component="span" variant="h6" color="text.secondary" sx={{ ml: 1 }}>
+                {data.link.season} Season
+              </Typography>
+            )}
+          </Typography>
+          <Button size="small" startIcon={<ArrowBack />} href={UI.ROUTES.LOTTERY}>
+            Back to Lottery
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error">{error}</Alert>
+        )}
+
+        {!data && !error && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {data && (
+          <>
+            <Alert severity={summary.severity} sx={{ mb: 2 }}>
+              {summary.message}
+              {data.link.commitment && (
+                <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mt: 1 }}>
+                  Commitment in this link: {data.link.commitment}
+                </Typography>
+              )}
+            </Alert>
+            {data.teamsError && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Team names and avatars could not be loaded from Sleeper ({data.teamsError}). Verification only needs the link itself.
+              </Alert>
+            )}
+            <LotteryResults
+              selections={data.selections}
+              totalTeams={data.selections.length}
+              proof={data.proof}
+              auditLog={data.auditLog}
+              teams={data.teams}
+              leagueName={data.league?.name}
+              season={data.link.season}
+              permalink={window.location.href}
+              commitmentAnnounced={false}
+            />
+          </>
+        )}
+      </Paper>
+    </Container>
+  );
+}
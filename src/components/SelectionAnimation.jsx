@@ -1,6 +1,6 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Box, Paper, Typography, Button } from '@mui/material';
-import { PlayArrow, SkipNext } from '@mui/icons-material';
+import { PlayArrow, SkipNext, Visibility, Pause } from '@mui/icons-material';
 import { TeamAvatar } from './TeamAvatar';
 
 /**
@@ -22,6 +22,51 @@ function getPositionLabel(position, total, pickNumber = null) {
   return `Pick #${calculatedPickNumber}`;
 }
 
+/**
+ * Row of drawn ping-pong balls (ping-pong draw mode only)
+ */
+function DrawnBalls({ balls, redraws = 0, paused = false }) {
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'center', gap: 1.5 }}>
+        {balls.map((ball, index) => (
+          <Box
+            key={ball}
+            sx={{
+              width: 48,
+              height: 48,
+              borderRadius: '50%',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              bgcolor: 'white',
+              color: '#222',
+              fontWeight: 'bold',
+              fontSize: '1.3rem',
+              boxShadow: 'inset -4px -4px 8px rgba(0, 0, 0, 0.25), 0 0 6px #000',
+              animation: 'ballDrop 0.5s ease-out forwards',
+              animationDelay: `${index * 0.25}s`,
+              animationPlayState: paused ? 'paused' : 'running',
+              opacity: 0,
+              '@keyframes ballDrop': {
+                '0%': { opacity: 0, transform: 'translateY(-40px) scale(0.5)' },
+                '100%': { opacity: 1, transform: 'translateY(0) scale(1)' },
+              },
+            }}
+          >
+            {ball}
+          </Box>
+        ))}
+      </Box>
+      {redraws > 0 && (
+        <Typography variant="caption" sx={{ color: 'white', mt: 1, textShadow: '0 0 4px #000' }}>
+          {redraws === 1 ? '1 redraw' : `${redraws} redraws`} (unassigned or already-selected combination)
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
 /**
  * SelectionAnimation component for displaying lottery animation
  * @param {Object} props
@@ -33,8 +78,34 @@ function getPositionLabel(position, total, pickNumber = null) {
  * @param {Function} props.onClose - Callback to close/cancel the animation
  * @param {Function} props.onSkip - Callback to skip the animation and show results
  * @param {string} props.leagueName - Name of the league from Sleeper API
+ * @param {string} props.commitment - Published hash of the secret seed and slot configuration
+ * @param {string} props.fingerprint - Hash of the locked slot configuration (shown throughout the ceremony)
+ * @param {Object} props.revealPrompt - Commissioner mode: { pickNumber, suspense } while waiting to reveal (null otherwise)
+ * @param {Function} props.onReveal - Commissioner mode: callback to reveal the next pick
+ * @param {boolean} props.isRunning - Whether the reveal sequence is in progress (enables pause)
+ * @param {boolean} props.isPaused - Whether the ceremony is paused
+ * @param {Function} props.onPause - Callback to pause the ceremony
+ * @param {Function} props.onResume - Callback to resume the ceremony
+ * @param {number} props.replayOf - Replays only: when the original lottery was completed (ms since epoch)
  */
-export function SelectionAnimation({ selection, selections = [], totalTeams, animationStarted, onStart, onClose, onSkip, leagueName = 'Fantasy Football' }) {
+export function SelectionAnimation({ selection, selections = [], totalTeams, animationStarted, onStart, onClose, onSkip, leagueName = 'Fantasy Football', commitment = null, fingerprint = null, revealPrompt = null, onReveal, isRunning = false, isPaused = false, onPause, onResume, replayOf = null }) {
+  const canReveal = Boolean(revealPrompt && !revealPrompt.suspense && onReveal && !isPaused);
+  const playState = isPaused ? 'paused' : 'running';
+
+  // Commissioner mode: spacebar reveals the next pick
+  useEffect(() => {
+    if (!canReveal) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.code !== 'Space' || event.repeat) return;
+      event.preventDefault(); // Don't also activate a focused button
+      onReveal();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [canReveal, onReveal]);
+
   // Show start button if animation hasn't started
   if (!animationStarted) {
     return (
@@ -87,6 +158,14 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
           >
             The {leagueName} Draft Lottery
           </Typography>
+          {replayOf && (
+            <Typography
+              variant="h6"
+              sx={{ color: 'white', mt: -4, mb: 4, position: 'relative', zIndex: 1, textShadow: '0 0 4px #000' }}
+            >
+              Replay of {new Date(replayOf).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+            </Typography>
+          )}
           <Button
             variant="contained"
             size="large"
@@ -105,8 +184,52 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
               },
             }}
           >
-            Start Lottery
+            {replayOf ? 'Start Replay' : 'Start Lottery'}
           </Button>
+          {fingerprint && (
+            <Box sx={{ mt: 4, position: 'relative', zIndex: 1, maxWidth: '100%' }}>
+              <Typography variant="caption" sx={{ color: 'white', display: 'block', textShadow: '0 0 4px #000' }}>
+                🔒 Locked configuration fingerprint:
+              </Typography>
+              <Typography
+                variant="caption"
+                sx={{
+                  color: 'white',
+                  fontFamily: 'monospace',
+                  wordBreak: 'break-all',
+                  bgcolor: 'rgba(0, 0, 0, 0.5)',
+                  px: 1,
+                  py: 0.5,
+                  borderRadius: 1,
+                  display: 'inline-block',
+                }}
+              >
+                {fingerprint}
+              </Typography>
+            </Box>
+          )}
+          {commitment && (
+            <Box sx={{ mt: fingerprint ? 2 : 4, position: 'relative', zIndex: 1, maxWidth: '100%' }}>
+              <Typography variant="caption" sx={{ color: 'white', display: 'block', textShadow: '0 0 4px #000' }}>
+                {replayOf ? 'Fairness commitment (published before the original draw):' : 'Fairness commitment (share before starting):'}
+              </Typography>
+              <Typography
+                variant="caption"
+                sx={{
+                  color: 'white',
+                  fontFamily: 'monospace',
+                  wordBreak: 'break-all',
+                  bgcolor: 'rgba(0, 0, 0, 0.5)',
+                  px: 1,
+                  py: 0.5,
+                  borderRadius: 1,
+                  display: 'inline-block',
+                }}
+              >
+                {commitment}
+              </Typography>
+            </Box>
+          )}
         </Paper>
       </Box>
     );
@@ -165,7 +288,30 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
       >
         {/* Current selection display - always present to reserve space */}
         <Box sx={{ mb: 4, position: 'relative', zIndex: 1, minHeight: 120 }}>
-          {selection ? (
+          {revealPrompt?.suspense ? (
+            <Typography
+              variant="h3"
+              sx={{
+                color: 'white',
+                animation: 'suspensePulse 1s ease-in-out infinite',
+                animationPlayState: playState,
+                '@keyframes suspensePulse': {
+                  '0%, 100%': { opacity: 0.6, transform: 'scale(1)' },
+                  '50%': { opacity: 1, transform: 'scale(1.05)' },
+                },
+                textShadow: `
+                  -2px -2px 0 #000,
+                  2px -2px 0 #000,
+                  -2px 2px 0 #000,
+                  2px 2px 0 #000,
+                  0 0 4px #000,
+                  0 0 4px #000
+                `,
+              }}
+            >
+              {revealPrompt.pickNumber === 1 ? 'And the #1 pick goes to...' : `The #${revealPrompt.pickNumber} pick goes to...`}
+            </Typography>
+          ) : selection ? (
             <>
               <Typography 
                 variant="h3" 
@@ -202,6 +348,14 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
               >
                 {selection.teamName}
               </Typography>
+              {selection.balls && (
+                <DrawnBalls
+                  key={`${selection.userId}-${selection.pickNumber}`}
+                  balls={selection.balls}
+                  redraws={selection.redraws}
+                  paused={isPaused}
+                />
+              )}
             </>
           ) : null}
         </Box>
@@ -238,6 +392,7 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
               sx={{
                 animation: 'rollInFromLeft 1.2s ease-out forwards',
                 animationDelay: `${animationDelay}s`,
+                animationPlayState: playState,
                 opacity: 0,
                 flexShrink: 0,
                 width: cardWidth,
@@ -302,7 +457,16 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
           })}
         </Box>
 
-        {/* Skip button - bottom center of animation window */}
+        {isPaused && (
+          <Typography
+            variant="h5"
+            sx={{ mt: 2, color: 'white', fontWeight: 'bold', position: 'relative', zIndex: 1, textShadow: '0 0 6px #000' }}
+          >
+            ⏸ Paused
+          </Typography>
+        )}
+
+        {/* Reveal (commissioner mode), pause and skip buttons - bottom center of animation window */}
         {animationStarted && (
           <Box 
             sx={{ 
@@ -310,10 +474,58 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
               pt: 4,
               display: 'flex',
               justifyContent: 'center',
+              alignItems: 'center',
+              gap: 2,
+              flexWrap: 'wrap',
               position: 'relative',
               zIndex: 1,
             }}
           >
+            {canReveal && (
+              <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+                <Button
+                  variant="contained"
+                  onClick={onReveal}
+                  startIcon={<Visibility />}
+                  sx={{
+                    px: 4,
+                    py: 1.5,
+                    fontSize: '1rem',
+                    bgcolor: 'white',
+                    color: '#667eea',
+                    '&:hover': {
+                      bgcolor: 'rgba(255, 255, 255, 0.9)',
+                    },
+                  }}
+                >
+                  Reveal Pick #{revealPrompt.pickNumber}
+                </Button>
+                <Typography variant="caption" sx={{ color: 'white', mt: 0.5, textShadow: '0 0 4px #000' }}>
+                  or press Space
+                </Typography>
+              </Box>
+            )}
+            {isRunning && (onPause || onResume) && (
+              <Button
+                variant="outlined"
+                onClick={isPaused ? onResume : onPause}
+                startIcon={isPaused ? <PlayArrow /> : <Pause />}
+                sx={{
+                  px: 4,
+                  py: 1.5,
+                  fontSize: '1rem',
+                  borderColor: 'rgba(255, 255, 255, 0.5)',
+                  color: 'white',
+                  bgcolor: 'rgba(0, 0, 0, 0.3)',
+                  '&:hover': {
+                    borderColor: 'rgba(255, 255, 255, 0.8)',
+                    bgcolor: 'rgba(0, 0, 0, 0.5)',
+                  },
+                }}
+              >
+                {isPaused ? 'Resume' : 'Pause'}
+              </Button>
+            )}
             <Button
               variant="outlined"
               onClick={onSkip}
@@ -336,6 +548,14 @@ export function SelectionAnimation({ selection, selections = [], totalTeams, ani
           </Box>
         )}
 
+        {fingerprint && (
+          <Typography
+            variant="caption"
+            sx={{ mt: 2, color: 'white', fontFamily: 'monospace', position: 'relative', zIndex: 1, textShadow: '0 0 4px #000' }}
+          >
+            🔒 Configuration {fingerprint.slice(0, 16)}…
+          </Typography>
+        )}
       </Paper>
     </Box>
   );
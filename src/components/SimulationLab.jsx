@@ -0,0 +1,347 @@
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Alert,
+  Box,
+  Button,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { ExpandMore, Science, PlayArrow, Stop, Download } from '@mui/icons-material';
+import { LOTTERY } from '../constants';
+import { testLotteryFairness, formatFairnessReport } from '../utils/fairnessTests';
+import { downloadFile } from '../utils/download';
+import { TeamNameWithAvatar } from './TeamNameWithAvatar';
+
+/**
+ * Heatmap of a [team][pick] percentage matrix
+ * Cells are shaded relative to the largest value in the matrix; picks the
+ * matrix doesn't cover are shown as n/a.
+ */
+function Heatmap({ title, matrix, teams, color, digits = 1 }) {
+  if (!matrix) return null;
+
+  const maxValue = Math.max(...matrix.flat().filter(value => value !== null), 0.0001);
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="subtitle2" gutterBottom>{title}</Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Team</TableCell>
+              {teams.map((_, pickIndex) => (
+                <TableCell key={pickIndex} align="right">{pickIndex + 1}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {teams.map((team, slotIndex) => (
+              <TableRow key={team.userId}>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  <TeamNameWithAvatar
+                    avatar={team.avatar}
+                    teamName={team.teamName}
+                    variant="body2"
+                    avatarSize={20}
+                    spacing={0.5}
+                  />
+                </TableCell>
+                {teams.map((_, pickIndex) => {
+                  // Matrices can be narrower than the table (e.g., NBA odds only cover picks 1-4)
+                  const value = matrix[slotIndex]?.[pickIndex];
+                  return (
+                    <TableCell
+                      key={pickIndex}
+                      align="right"
+                      sx={{
+                        bgcolor: value ? `rgba(${color}, ${Math.min(value / maxValue, 1) * 0.7})` : 'transparent',
+                        color: value === undefined ? 'text.disabled' : undefined,
+                      }}
+                    >
+                      {value === undefined ? 'n/a' : value === null ? '' : value.toFixed(digits)}
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+/**
+ * Goodness-of-fit summary: pass/fail plus the p-value for every pick column
+ */
+function FairnessSummary({ report }) {
+  const formatP = (p) => (p < 0.0001 ? '<0.0001' : p.toFixed(4));
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Alert severity={report.passed ? 'success' : 'error'} sx={{ mb: 1 }}>
+        {report.passed
+          ? 'Pass - no pick deviates significantly from the expected odds'
+          : `Fail - picks ${report.failedPicks.join(', ')} deviate significantly from the expected odds`}
+      </Alert>
+      <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+        {LOTTERY.FAIRNESS_TEST.METHODS[report.method].name}, significance {report.alpha} overall
+        ({report.columnAlpha.toPrecision(3)} per pick)
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Pick</TableCell>
+              {report.columns.map(column => (
+                <TableCell key={column.pick} align="right">{column.pick}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            <TableRow>
+              <TableCell>p-value</TableCell>
+              {report.columns.map(column => (
+                <TableCell
+                  key={column.pick}
+                  align="right"
+                  sx={{
+                    bgcolor: column.significant ? 'rgba(211, 47, 47, 0.3)' : 'transparent',
+                    fontWeight: column.significant ? 'bold' : 'normal',
+                  }}
+                >
+                  {column.tested || column.significant ? formatP(column.pValue) : '—'}
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+/**
+ * SimulationLab component - runs large simulations of the current configuration in a Web Worker
+ * @param {Object} props
+ * @param {Array<Object>} props.teams - Teams in slot order (worst record first) with combinations
+ * @param {Object} props.rules - Lottery rules (drawMode, lotteryPicks, maxDrop, ...)
+ */
+export function SimulationLab({ teams, rules }) {
+  const [iterations, setIterations] = useState(LOTTERY.SIMULATION.DEFAULT_ITERATIONS);
+  const [status, setStatus] = useState('idle'); // idle | running | done | cancelled | error
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [testMethod, setTestMethod] = useState(LOTTERY.FAIRNESS_TEST.DEFAULT_METHOD);
+  const workerRef = useRef(null);
+
+  // Significance tests on the raw counts (cheap, so recomputed when the method changes)
+  const fairness = useMemo(() => {
+    if (!results) return null;
+    try {
+      const report = testLotteryFairness(
+        results.counts,
+        results.iterations,
+        teams.map(t => t.combinations),
+        rules,
+        { method: testMethod }
+      );
+      return { report, error: null };
+    } catch (err) {
+      return { report: null, error: err.message };
+    }
+  }, [results, teams, rules, testMethod]);
+
+  const stopWorker = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  // Results only describe the configuration they were run with - clear them when it changes
+  useEffect(() => {
+    stopWorker();
+    setStatus('idle');
+    setProgress(0);
+    setResults(null);
+    setError(null);
+  }, [teams, rules, stopWorker]);
+
+  // Never leave a worker running after unmount
+  useEffect(() => stopWorker, [stopWorker]);
+
+  const handleStart = useCallback(() => {
+    stopWorker();
+    setStatus('running');
+    setProgress(0);
+    setResults(null);
+    setError(null);
+
+    const worker = new Worker(new URL('../workers/simulationWorker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        setProgress((message.completed / message.total) * 100);
+      } else if (message.type === 'result') {
+        setResults(message.results);
+        setStatus('done');
+        stopWorker();
+      } else if (message.type === 'error') {
+        setError(message.message);
+        setStatus('error');
+        stopWorker();
+      }
+    };
+    worker.onerror = (event) => {
+      setError(event.message || 'Simulation failed');
+      setStatus('error');
+      stopWorker();
+    };
+
+    worker.postMessage({
+      type: 'start',
+      iterations,
+      combinations: teams.map(t => t.combinations),
+      rules,
+    });
+  }, [iterations, teams, rules, stopWorker]);
+
+  const handleCancel = useCallback(() => {
+    stopWorker();
+    setStatus('cancelled');
+  }, [stopWorker]);
+
+  const handleDownloadReport = useCallback(() => {
+    if (!fairness?.report) return;
+    const text = formatFairnessReport(fairness.report, teams.map(t => t.teamName));
+    downloadFile(text, 'lottery-fairness-report.txt');
+  }, [fairness, teams]);
+
+  if (teams.length === 0) return null;
+
+  const isRunning = status === 'running';
+  const maxDifference = results?.differences
+    ? Math.max(...results.differences.flat().filter(value => value !== null), 0)
+    : null;
+
+  return (
+    <Accordion sx={{ mt: 2 }}>
+      <AccordionSummary expandIcon={<ExpandMore />}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Science color="action" />
+          <Typography variant="subtitle1">Simulation Lab</Typography>
+          <Typography variant="caption" color="text.secondary">
+            (observed vs expected odds)
+          </Typography>
+        </Box>
+      </AccordionSummary>
+      <AccordionDetails>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel id="simulation-iterations-label">Simulations</InputLabel>
+            <Select
+              labelId="simulation-iterations-label"
+              id="simulation-iterations-select"
+              value={iterations}
+              label="Simulations"
+              onChange={(e) => setIterations(Number(e.target.value))}
+              disabled={isRunning}
+            >
+              {LOTTERY.SIMULATION.ITERATION_OPTIONS.map((count) => (
+                <MenuItem key={count} value={count}>
+                  {count.toLocaleString()}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {isRunning ? (
+            <Button variant="outlined" color="error" onClick={handleCancel} startIcon={<Stop />}>
+              Cancel
+            </Button>
+          ) : (
+            <Button variant="contained" onClick={handleStart} startIcon={<PlayArrow />}>
+              Run Simulation
+            </Button>
+          )}
+        </Box>
+
+        {(isRunning || status === 'cancelled') && (
+          <Box sx={{ mb: 2 }}>
+            <LinearProgress variant="determinate" value={progress} />
+            <Typography variant="caption" color="text.secondary">
+              {status === 'cancelled'
+                ? `Cancelled at ${progress.toFixed(0)}%`
+                : `${progress.toFixed(0)}% of ${iterations.toLocaleString()} simulations`}
+            </Typography>
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        {results && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {results.iterations.toLocaleString()} simulations
+              {maxDifference !== null && ` · largest difference ${maxDifference.toFixed(2)} percentage points`}
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+              <Typography variant="subtitle2">Fairness Test</Typography>
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel id="fairness-test-label">Test</InputLabel>
+                <Select
+                  labelId="fairness-test-label"
+                  id="fairness-test-select"
+                  value={testMethod}
+                  label="Test"
+                  onChange={(e) => setTestMethod(e.target.value)}
+                >
+                  {Object.entries(LOTTERY.FAIRNESS_TEST.METHODS).map(([key, method]) => (
+                    <MenuItem key={key} value={key}>
+                      {method.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={handleDownloadReport}
+                startIcon={<Download />}
+                disabled={!fairness?.report}
+              >
+                Download Report
+              </Button>
+            </Box>
+            {fairness?.error && (
+              <Alert severity="info" sx={{ mb: 2 }}>{fairness.error}</Alert>
+            )}
+            {fairness?.report && <FairnessSummary report={fairness.report} />}
+            <Heatmap title="Observed (%)" matrix={results.observed} teams={teams} color="102, 126, 234" />
+            <Heatmap title="Expected (%)" matrix={results.expected} teams={teams} color="118, 75, 162" />
+            <Heatmap title="Difference (percentage points)" matrix={results.differences} teams={teams} color="211, 47, 47" digits={2} />
+          </>
+        )}
+      </AccordionDetails>
+    </Accordion>
+  );
+}
@@ -10,7 +10,8 @@ import {
 } from '@mui/material';
 import { ExpandMore, ExpandLess } from '@mui/icons-material';
 import { formatTeamRecord } from '../utils/teamUtils';
-import { calculateTotalCombinations } from '../utils/combinations';
+import { calculatePercentages } from '../utils/combinations';
+import { getWorstPossiblePick } from '../utils/nbaLottery';
 import { TeamNameWithAvatar } from './TeamNameWithAvatar';
 
 /**
@@ -21,6 +22,15 @@ function formatPoints(points) {
   return points.toFixed(2);
 }
 
+/**
+ * How a season entered a team's multi-season score
+ */
+const STANDING_SOURCES = {
+  owner: '',
+  roster: " (roster's previous owner)",
+  average: ' (league average - not in the league yet)',
+};
+
 /**
  * TeamCard component for displaying team information and combinations input
  * @param {Object} props
@@ -31,8 +41,10 @@ function formatPoints(points) {
  * @param {boolean} props.isCustom - Whether custom mode is enabled (allows editing)
  * @param {Function} props.onCombinationsChange - Callback when combinations change (only used in custom mode)
  * @param {boolean} props.disabled - Whether the component is disabled
+ * @param {Object} props.rules - Lottery rules (for max-drop aware odds)
+ * @param {Object} props.standing - Multi-season seeding score from calculateMultiSeasonScores (optional)
  */
-export function TeamCard({ team, combinations, teamIndex, allCombinations = [], isCustom = false, onCombinationsChange, disabled }) {
+export function TeamCard({ team, combinations, teamIndex, allCombinations = [], isCustom = false, onCombinationsChange, disabled, rules, standing = null }) {
   const [statsExpanded, setStatsExpanded] = useState(false);
 
   const toggleStatsExpanded = useCallback(() => {
@@ -46,13 +58,17 @@ export function TeamCard({ team, combinations, teamIndex, allCombinations = [],
     onCombinationsChange(team.userId, Math.max(0, numValue));
   }, [team.userId, isCustom, onCombinationsChange]);
 
-  // Calculate percentage chance for this team (memoized)
+  // Calculate percentage chance at Pick #1 for this team (memoized)
   const percentage = useMemo(() => {
-    const totalCombos = calculateTotalCombinations(allCombinations);
-    return totalCombos > 0 && combinations > 0
-      ? (combinations / totalCombos) * 100
-      : 0;
-  }, [allCombinations, combinations]);
+    return calculatePercentages(allCombinations, rules)[teamIndex] || 0;
+  }, [allCombinations, teamIndex, rules]);
+
+  // Worst pick this slot can fall to (only shown when the rules limit it)
+  const worstPick = useMemo(() => {
+    if (!rules || allCombinations.length === 0) return null;
+    const worst = getWorstPossiblePick(teamIndex, allCombinations.length, rules);
+    return worst < allCombinations.length ? worst : null;
+  }, [teamIndex, allCombinations.length, rules]);
 
   return (
     <Card>
@@ -103,6 +119,7 @@ export function TeamCard({ team, combinations, teamIndex, allCombinations = [],
                 {team.pointsAgainst !== undefined && team.pointsAgainst !== null && (
                   <Typography variant="caption" color="text.secondary" display="block">
                     Points Against: <strong>{formatPoints(team.pointsAgainst)}</strong>
+                    {team.pointsAgainstMissingWeeks?.length > 0 && ' (partial)'}
                   </Typography>
                 )}
                 {team.pointsFor && team.pointsAgainst !== undefined && team.pointsAgainst !== null && (
@@ -110,6 +127,23 @@ export function TeamCard({ team, combinations, teamIndex, allCombinations = [],
                     Point Differential: <strong>{formatPoints(team.pointsFor - team.pointsAgainst)}</strong>
                   </Typography>
                 )}
+                {team.potentialPoints !== undefined && team.potentialPoints !== null && (
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    Max Potential Points: <strong>{formatPoints(team.potentialPoints)}</strong>
+                  </Typography>
+                )}
+                {standing && (
+                  <>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Seeding Score: <strong>{standing.score.toFixed(3)}</strong>
+                    </Typography>
+                    {standing.seasons.map((entry) => (
+                      <Typography key={entry.season || 'current'} variant="caption" color="text.secondary" display="block">
+                        {entry.season || 'This season'}: {entry.score.toFixed(3)}{STANDING_SOURCES[entry.source]}
+                      </Typography>
+                    ))}
+                  </>
+                )}
               </Box>
             </Collapse>
           </Box>
@@ -144,6 +178,11 @@ export function TeamCard({ team, combinations, teamIndex, allCombinations = [],
                 </Typography>
               </Box>
             )}
+            {worstPick !== null && (
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ textAlign: 'right' }}>
+                No worse than Pick #{worstPick}
+              </Typography>
+            )}
           </Box>
         </Box>
       </CardContent>
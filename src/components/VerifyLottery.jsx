@@ -0,0 +1,300 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { ArrowBack, UploadFile, VerifiedUser, GppBad, GppMaybe, CheckCircle, Cancel, Lock } from '@mui/icons-material';
+import { verifyLotteryRecord } from '../utils/fairnessProof';
+import { UI } from '../constants';
+
+/**
+ * Short description of a pick for the comparison table
+ */
+function describePick(selection) {
+  if (!selection) return '—';
+  return selection.teamName || selection.userId;
+}
+
+/**
+ * Headline for a verification result
+ */
+function summarize(result) {
+  if (result.isValid && result.announcedMatch) {
+    return {
+      severity: 'success',
+      message: `Verified: the seed matches the commitment announced before the draw and re-running the draw reproduces all ${result.picks.length} picks.`,
+    };
+  }
+  if (result.isValid) {
+    return {
+      severity: 'success',
+      message: `The seed matches the commitment in this record and re-running the draw reproduces all ${result.picks.length} picks. Compare that commitment with the one announced before the draw (or enter it above) - anyone can build a record that matches its own commitment.`,
+    };
+  }
+  if (result.firstDivergence !== null) {
+    return {
+      severity: 'error',
+      message: `Mismatch: the published results diverge from the reproduced draw at Pick #${result.firstDivergence}.`,
+    };
+  }
+  if (!result.selectionsMatch) {
+    return {
+      severity: 'error',
+      message: 'Mismatch: the record lists a different number of selections than the draw produces.',
+    };
+  }
+  if (result.commitmentValid === false) {
+    return {
+      severity: 'error',
+      message: "The picks match, but the seed and configuration do not match the record's commitment.",
+    };
+  }
+  if (result.announcedMatch === false) {
+    return {
+      severity: 'error',
+      message: "The picks match, but the record's commitment is not the commitment announced before the draw.",
+    };
+  }
+  if (result.fingerprintValid === false) {
+    return {
+      severity: 'error',
+      message: 'The picks match, but the slot configuration does not match its locked fingerprint.',
+    };
+  }
+  return {
+    severity: 'warning',
+    message: 'Not verified: the picks reproduce from this seed, but the record has no commitment, so nothing ties the seed to a value published before the draw.',
+  };
+}
+
+/**
+ * VerifyLottery component: standalone view that re-checks a published lottery record
+ * Runs entirely in the browser from the record itself - no league data is loaded.
+ */
+export function VerifyLottery() {
+  const [recordText, setRecordText] = useState('');
+  const [announcedCommitment, setAnnouncedCommitment] = useState(''); // Commitment the league saw before the draw
+  const [record, setRecord] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  const handleVerify = useCallback(async (text) => {
+    setError(null);
+    setResult(null);
+    setRecord(null);
+    setVerifying(true);
+
+    try {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        throw new Error('The record is not valid JSON');
+      }
+      const verification = await verifyLotteryRecord(parsed, { announcedCommitment: announcedCommitment.trim() || null });
+      setRecord(parsed);
+      setResult(verification);
+    } catch (err) {
+      setError(err.message || 'Failed to verify the lottery record');
+    } finally {
+      setVerifying(false);
+    }
+  }, [announcedCommitment]);
+
+  const handleUpload = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    setRecordText(text);
+    handleVerify(text);
+  }, [handleVerify]);
+
+  const summary = result ? summarize(result) : null;
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Paper elevation={3} sx={{ p: 4, background: 'rgba(255, 255, 255, 0.95)' }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          <Typography variant="h5">Verify a Lottery</Typography>
+          <Button size="small" startIcon={<ArrowBack />} href={UI.ROUTES.LOTTERY}>
+            Back to Lottery
+          </Button>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Paste or upload a lottery record downloaded from Past Lotteries, or a JSON results export. The draw is re-run here from the
+          record&apos;s seed, slot configuration, combinations and rules, and every pick is compared with the
+          published results. Nothing is loaded from Sleeper, so this works offline.
+        </Typography>
+
+        <TextField
+          fullWidth
+          multiline
+          minRows={6}
+          maxRows={16}
+          label="Lottery record (JSON)"
+          value={recordText}
+          onChange={(e) => setRecordText(e.target.value)}
+          InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+          sx={{ mb: 2 }}
+        />
+
+        <TextField
+          fullWidth
+          size="small"
+          label="Commitment announced before the draw (optional)"
+          helperText="Copy it from the announcement the league saw before the draw, so a made-up record can't pass"
+          value={announcedCommitment}
+          onChange={(e) => setAnnouncedCommitment(e.target.value)}
+          InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+          sx={{ mb: 2 }}
+        />
+
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 3 }}>
+          <Button
+            variant="contained"
+            startIcon={<VerifiedUser />}
+            onClick={() => handleVerify(recordText)}
+            disabled={verifying || !recordText.trim()}
+          >
+            Verify
+          </Button>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />} disabled={verifying}>
+            Upload Record
+            <input type="file" accept="application/json,.json" hidden onChange={handleUpload} />
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        {result && (
+          <Box>
+            <Alert severity={summary.severity} sx={{ mb: 2 }}>{summary.message}</Alert>
+
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              {(record.leagueName || record.season) && (
+                <Typography variant="subtitle1" sx={{ mr: 1 }}>
+                  {[record.leagueName, record.season && `${record.season} Season`].filter(Boolean).join(' · ')}
+                </Typography>
+              )}
+              <Chip
+                size="small"
+                variant="outlined"
+                icon={result.commitmentValid === null ? <GppMaybe /> : result.commitmentValid ? <VerifiedUser /> : <GppBad />}
+                label={result.commitmentValid === null
+                  ? 'No commitment in record'
+                  : result.commitmentValid ? 'Commitment matches' : 'Commitment does not match'}
+                color={result.commitmentValid === null ? 'warning' : result.commitmentValid ? 'success' : 'error'}
+              />
+              {result.announcedMatch !== null && (
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  icon={result.announcedMatch ? <VerifiedUser /> : <GppBad />}
+                  label={result.announcedMatch ? 'Matches the announced commitment' : 'Not the announced commitment'}
+                  color={result.announcedMatch ? 'success' : 'error'}
+                />
+              )}
+              {result.fingerprintValid !== null && (
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  icon={result.fingerprintValid ? <Lock /> : <GppBad />}
+                  label={result.fingerprintValid ? 'Configuration fingerprint matches' : 'Configuration fingerprint does not match'}
+                  color={result.fingerprintValid ? 'success' : 'error'}
+                />
+              )}
+              <Chip
+                size="small"
+                variant="outlined"
+                icon={result.selectionsMatch ? <CheckCircle /> : <Cancel />}
+                label={result.selectionsMatch ? 'Pick order reproduced' : 'Pick order differs'}
+                color={result.selectionsMatch ? 'success' : 'error'}
+              />
+            </Box>
+
+            {/* The record's own hashes, to compare with the values announced before the draw */}
+            <Box sx={{ mb: 2, p: 2, bgcolor: 'background.default', borderRadius: 2 }}>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Commitment in this record:
+              </Typography>
+              <Typography
+                variant="body2"
+                color={result.commitment ? 'text.primary' : 'warning.main'}
+                sx={{ fontFamily: result.commitment ? 'monospace' : 'inherit', wordBreak: 'break-all', mb: 1 }}
+              >
+                {result.commitment || 'None'}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Locked configuration fingerprint:
+              </Typography>
+              <Typography
+                variant="body2"
+                color={result.fingerprint ? 'text.primary' : 'text.secondary'}
+                sx={{ fontFamily: result.fingerprint ? 'monospace' : 'inherit', wordBreak: 'break-all' }}
+              >
+                {result.fingerprint || 'None - the configuration was not locked'}
+              </Typography>
+            </Box>
+
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Pick</TableCell>
+                    <TableCell>Reproduced</TableCell>
+                    <TableCell>Published</TableCell>
+                    <TableCell align="center">Match</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.picks.map((pick) => {
+                    const isFirstDivergence = pick.pickNumber === result.firstDivergence;
+                    const afterDivergence = result.firstDivergence !== null && pick.pickNumber > result.firstDivergence;
+                    return (
+                      <TableRow
+                        key={pick.pickNumber}
+                        sx={{
+                          bgcolor: isFirstDivergence ? 'error.light' : 'transparent',
+                          opacity: afterDivergence ? 0.6 : 1,
+                        }}
+                      >
+                        <TableCell>#{pick.pickNumber}</TableCell>
+                        <TableCell>{describePick(pick.expected)}</TableCell>
+                        <TableCell sx={{ fontWeight: isFirstDivergence ? 'bold' : 'normal' }}>
+                          {describePick(pick.published)}
+                        </TableCell>
+                        <TableCell align="center">
+                          {pick.matches
+                            ? <CheckCircle color="success" fontSize="small" />
+                            : <Cancel color="error" fontSize="small" />}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Box>
+        )}
+      </Paper>
+    </Container>
+  );
+}
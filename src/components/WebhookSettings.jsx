@@ -0,0 +1,155 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Alert,
+  Box,
+  Button,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ExpandMore, Webhook, Send } from '@mui/icons-material';
+import { WEBHOOKS } from '../constants';
+import { buildTestMessage, postWebhook, resolveWebhookFormat, validateWebhookUrl } from '../services/webhooks';
+
+/**
+ * Alert for the outcome of a delivery
+ */
+function DeliveryStatus({ delivery }) {
+  if (!delivery) return null;
+  const time = new Date(delivery.at).toLocaleTimeString(undefined, { timeStyle: 'short' });
+
+  if (delivery.error) {
+    return <Alert severity="error" sx={{ mt: 2 }}>{delivery.label} failed at {time}: {delivery.error}</Alert>;
+  }
+  return (
+    <Alert severity={delivery.confirmed ? 'success' : 'info'} sx={{ mt: 2 }}>
+      {delivery.label} sent at {time}
+      {!delivery.confirmed && ' (Slack does not confirm delivery to browsers - check the channel)'}
+    </Alert>
+  );
+}
+
+/**
+ * WebhookSettings component for publishing results to Discord/Slack-style webhooks
+ * @param {Object} props
+ * @param {Object} props.settings - Webhook settings (see WEBHOOKS.DEFAULT_SETTINGS)
+ * @param {Function} props.onChange - Callback with the updated settings
+ * @param {Object} props.lastDelivery - Last message posted by the app: { label, at, confirmed, error }
+ * @param {boolean} props.disabled - Disable editing (e.g., while a ceremony is running)
+ */
+export function WebhookSettings({ settings, onChange, lastDelivery = null, disabled = false }) {
+  const [testDelivery, setTestDelivery] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  const urlValidation = settings.url ? validateWebhookUrl(settings.url) : null;
+  const format = resolveWebhookFormat(settings.url.trim(), settings.format);
+
+  const update = useCallback((changes) => {
+    onChange({ ...settings, ...changes });
+  }, [settings, onChange]);
+
+  const handleTest = useCallback(async () => {
+    setTesting(true);
+    try {
+      const { confirmed } = await postWebhook(settings.url, buildTestMessage(format), format);
+      setTestDelivery({ label: 'Test message', at: Date.now(), confirmed, error: null });
+    } catch (err) {
+      setTestDelivery({ label: 'Test message', at: Date.now(), confirmed: false, error: err.message || 'Request failed' });
+    } finally {
+      setTesting(false);
+    }
+  }, [settings.url, format]);
+
+  // Show whichever happened last
+  const delivery = [testDelivery, lastDelivery]
+    .filter(Boolean)
+    .sort((a, b) => b.at - a.at)[0] || null;
+
+  return (
+    <Accordion sx={{ mt: 2 }}>
+      <AccordionSummary expandIcon={<ExpandMore />}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Webhook color="action" />
+          <Typography variant="subtitle1">Publish to Discord / Slack</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {settings.url && (settings.postResults || settings.postPicks) ? `(${WEBHOOKS.FORMATS[format].name})` : '(off)'}
+          </Typography>
+        </Box>
+      </AccordionSummary>
+      <AccordionDetails>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+          <TextField
+            size="small"
+            label="Webhook URL"
+            value={settings.url}
+            onChange={(e) => update({ url: e.target.value })}
+            placeholder="https://discord.com/api/webhooks/..."
+            error={urlValidation ? !urlValidation.isValid : false}
+            helperText={urlValidation && !urlValidation.isValid ? urlValidation.error : 'Saved in this browser only'}
+            disabled={disabled}
+            sx={{ flex: '1 1 360px' }}
+          />
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel id="webhook-format-label">Format</InputLabel>
+            <Select
+              labelId="webhook-format-label"
+              id="webhook-format-select"
+              value={settings.format}
+              label="Format"
+              onChange={(e) => update({ format: e.target.value })}
+              disabled={disabled}
+            >
+              {Object.keys(WEBHOOKS.FORMATS).map((key) => (
+                <MenuItem key={key} value={key}>
+                  {WEBHOOKS.FORMATS[key].name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+          <FormControlLabel
+            control={(
+              <Switch
+                checked={settings.postResults}
+                onChange={(e) => update({ postResults: e.target.checked })}
+                disabled={disabled}
+              />
+            )}
+            label="Post results when the lottery completes"
+          />
+          <FormControlLabel
+            control={(
+              <Switch
+                checked={settings.postPicks}
+                onChange={(e) => update({ postPicks: e.target.checked })}
+                disabled={disabled}
+              />
+            )}
+            label="Post each pick live"
+          />
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<Send />}
+            onClick={handleTest}
+            disabled={disabled || testing || !urlValidation?.isValid}
+          >
+            {testing ? 'Sending...' : 'Send Test'}
+          </Button>
+        </Box>
+
+        <DeliveryStatus delivery={delivery} />
+      </AccordionDetails>
+    </Accordion>
+  );
+}
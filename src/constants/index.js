@@ -15,21 +15,31 @@ export const SLEEPER_API = {
     USER: (id) => `/user/${id}`,
     NFL_STATE: () => '/state/nfl',
   },
+  // Most past seasons to follow through previous_league_id
+  MAX_HISTORY_SEASONS: 20,
+  // Requests in flight at once (the rest are queued)
+  MAX_CONCURRENT_REQUESTS: 4,
+  // Retries for 429 (rate limited), 5xx and network failures
+  RETRY: {
+    MAX_ATTEMPTS: 4,
+    BASE_DELAY_MS: 500,
+    MAX_DELAY_MS: 8000,
+  },
 };
 
 export const POINTS_AGAINST = {
   /**
    * Points Against Calculation Settings
    * 
-   * IMPORTANT: Points Against is NOT directly available from Sleeper API.
-   * It must be calculated by fetching matchups for all weeks and summing opponent points.
-   * 
-   * This requires multiple API calls (up to 18 weeks), so it's resource-intensive.
-   * Set ENABLED to false to skip this calculation and improve performance.
+   * Points For, Points Against and max potential points come straight from
+   * roster settings (fpts, fpts_against, ppts plus their *_decimal parts).
    * 
-   * Points For (PF) IS directly available via roster.settings.fpts - no calculation needed.
+   * When a roster doesn't report fpts_against, Points Against is calculated
+   * instead by fetching matchups for all weeks and summing opponent points.
+   * This fallback requires multiple API calls (up to 18 weeks), so it's resource-intensive.
+   * Set ENABLED to false to skip it and improve performance.
    */
-  // Set to false to skip Points Against calculation (saves ~18 API calls)
+  // Set to false to skip the Points Against fallback calculation (saves ~18 API calls)
   ENABLED: true,
   // Maximum weeks to fetch (will optimize to current week if NFL state is available)
   MAX_WEEKS: 18,
@@ -37,6 +47,70 @@ export const POINTS_AGAINST = {
 
 export const LOTTERY = {
   DEFAULT_DELAY_MS: 1500,
+  // How each pick is drawn
+  DRAW_MODES: {
+    STANDARD: {
+      name: 'Combination Ranges',
+    },
+    PING_PONG: {
+      name: 'NBA Ping-Pong Balls (4 of 14)',
+    },
+  },
+  // Authentic NBA mechanism: 4 balls drawn from 14 = 1001 combinations,
+  // 1000 assigned to teams, the last one (11-12-13-14) is unassigned and redrawn
+  PING_PONG: {
+    TOTAL_BALLS: 14,
+    BALLS_PER_DRAW: 4,
+  },
+  // Exact odds use a subset DP (2^N states), practical up to this many teams
+  EXACT_ODDS_MAX_TEAMS: 16,
+  // Simulation Lab (Web Worker) settings
+  SIMULATION: {
+    ITERATION_OPTIONS: [10000, 100000, 1000000],
+    DEFAULT_ITERATIONS: 100000,
+    // Iterations between progress updates
+    CHUNK_SIZE: 5000,
+  },
+  // Goodness-of-fit tests on simulated outcomes
+  FAIRNESS_TEST: {
+    METHODS: {
+      CHI_SQUARE: { name: 'Chi-square' },
+      G_TEST: { name: 'G-test (likelihood ratio)' },
+    },
+    DEFAULT_METHOD: 'CHI_SQUARE',
+    // Family-wise significance level, split across pick columns (Bonferroni)
+    ALPHA: 0.01,
+    // Cells expected to occur fewer times than this are pooled into one bin
+    MIN_EXPECTED_COUNT: 5,
+  },
+  // How picks are revealed during the ceremony (presentation only, not part of the commitment)
+  REVEAL_MODES: {
+    AUTO: {
+      name: 'Automatic',
+    },
+    MANUAL: {
+      name: 'Commissioner (button / spacebar)',
+    },
+  },
+  // Ceremony pacing in ms
+  REVEAL_TIMING: {
+    ANIMATION_DURATION: 1200, // Matches the rollInFromLeft CSS animation
+    DELAY_BETWEEN_PICKS: 150, // Per-card CSS animation delay step
+    STATIC_DELAY: 300, // Automatic mode: pause after an avatar finishes rolling in
+    LAST_PICK_DELAY: 1000, // Automatic mode: pause before the winner
+    DRAMATIC_PAUSE: 3000, // Commissioner mode: suspense before each of the final picks
+    DRAMATIC_PICKS: 2, // Number of final picks that get the dramatic pause
+  },
+  // Rules applied by the lottery engine (included in the fairness commitment)
+  DEFAULT_RULES: {
+    drawMode: 'STANDARD',
+    // Number of picks decided by the draw (null = every pick);
+    // remaining picks go in slot order, e.g. 4 for the real NBA format
+    lotteryPicks: null,
+    // Maximum number of places a team can fall below its slot (null = no limit),
+    // e.g. 4 means the worst team picks no later than #5
+    maxDrop: null,
+  },
   MIN_ODDS: 0,
   DEFAULT_ODDS: 1,
   TOTAL_COMBINATIONS: 1000,
@@ -92,6 +166,92 @@ export const LOTTERY = {
   },
 };
 
+export const STANDINGS = {
+  // How lottery slots are seeded; weights run from the current season back
+  // (seasons the league doesn't have are dropped and the rest rescaled)
+  MODELS: {
+    CURRENT: {
+      name: 'Current season record',
+      weights: [1],
+    },
+    TWO_SEASONS: {
+      name: 'Last 2 seasons (60/40)',
+      weights: [0.6, 0.4],
+    },
+    THREE_SEASONS: {
+      name: 'Last 3 seasons (50/30/20)',
+      weights: [0.5, 0.3, 0.2],
+    },
+  },
+  DEFAULT_MODEL: 'CURRENT',
+  // Share of each season's score from points for (the rest is win percentage)
+  POINTS_FOR_WEIGHT: 0.3,
+  // Seasons in the window before an owner joined the league
+  MISSING_SEASONS: {
+    REWEIGHT: {
+      name: 'Use only their seasons',
+      description: 'Seasons before they joined are skipped and their other seasons weigh more',
+    },
+    ROSTER: {
+      name: "Inherit the roster's record",
+      description: 'Seasons before they joined use the record of the roster they took over',
+    },
+    AVERAGE: {
+      name: 'Count as an average season',
+      description: 'Seasons before they joined count as a .500 season with league-average points',
+    },
+  },
+  DEFAULT_MISSING_SEASONS: 'REWEIGHT',
+};
+
+export const WEBHOOKS = {
+  // Message layout per destination; AUTO picks one from the webhook URL
+  FORMATS: {
+    AUTO: { name: 'Detect from URL' },
+    DISCORD: { name: 'Discord (embed)' },
+    SLACK: { name: 'Slack (blocks)' },
+    GENERIC: { name: 'Generic JSON' },
+  },
+  DEFAULT_SETTINGS: {
+    url: '',
+    format: 'AUTO',
+    postResults: true, // Post the full pick order when the lottery completes
+    postPicks: false, // Post each pick live as it is revealed
+  },
+  SETTINGS_KEY: 'ffLotteryWebhook', // localStorage key (the URL is a secret - kept on this device only)
+  REQUEST_TIMEOUT_MS: 10000,
+  USERNAME: 'Draft Lottery',
+  EMBED_COLOR: 0x667eea,
+};
+
+export const STORAGE = {
+  // IndexedDB database shared by the lottery archive and the API cache
+  DB_NAME: 'ff-lottery',
+  DB_VERSION: 2,
+  STORES: {
+    LOTTERIES: 'lotteries',
+    API_CACHE: 'apiCache',
+  },
+};
+
+export const API_CACHE = {
+  // How long each kind of Sleeper response is reused (Infinity = never expires)
+  TTL_MS: {
+    LEAGUE: 10 * 60 * 1000,
+    USERS: 60 * 60 * 1000,
+    ROSTERS: 5 * 60 * 1000,
+    // Weeks of a season still in progress (stat corrections can change them)
+    MATCHUPS: 30 * 60 * 1000,
+    DRAFTS: 60 * 60 * 1000,
+    // Drafts that haven't finished yet
+    DRAFT: 5 * 60 * 1000,
+    USER: 24 * 60 * 60 * 1000,
+    NFL_STATE: 60 * 60 * 1000,
+    // Completed seasons and completed drafts don't change
+    COMPLETED: Infinity,
+  },
+};
+
 export const VALIDATION = {
   LEAGUE_ID_MIN_LENGTH: 1,
 };
@@ -100,5 +260,11 @@ export const UI = {
   ANIMATION: {
     SELECTION_DELAY_MS: 1500,
   },
+  // Hash routes (the app is static, so views are selected by location.hash)
+  ROUTES: {
+    LOTTERY: '#/',
+    VERIFY: '#/verify',
+    RESULTS: '#/results/', // Followed by a permalink token (see utils/permalink.js)
+  },
 };
 
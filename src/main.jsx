@@ -1,13 +1,37 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { VerifyLottery } from './components/VerifyLottery';
+import { PermalinkResults } from './components/PermalinkResults';
+import { UI } from './constants';
 import './index.css';
 
+/**
+ * Pick the view from the URL hash so the verify page and results links can be opened (and bookmarked) on their own
+ */
+function Root() {
+  const [hash, setHash] = useState(() => window.location.hash);
+
+  useEffect(() => {
+    const handleHashChange = () => setHash(window.location.hash);
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  if (hash.startsWith(UI.ROUTES.VERIFY)) {
+    return <VerifyLottery />;
+  }
+  if (hash.startsWith(UI.ROUTES.RESULTS)) {
+    return <PermalinkResults token={hash.slice(UI.ROUTES.RESULTS.length)} />;
+  }
+  return <App />;
+}
+
 try {
   const root = ReactDOM.createRoot(document.getElementById('root'));
   root.render(
     <React.StrictMode>
-      <App />
+      <Root />
     </React.StrictMode>
   );
 } catch (error) {
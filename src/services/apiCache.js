@@ -0,0 +1,82 @@
+/**
+ * Sleeper API response cache
+ *
+ * Parsed JSON responses are kept in memory for the session and in IndexedDB
+ * across sessions, keyed by request URL. Each entry carries its own expiry
+ * (see API_CACHE.TTL_MS); entries that never expire have expiresAt null.
+ *
+ * The cache is best effort: if IndexedDB is unavailable or fails, requests
+ * simply go to the network.
+ */
+
+import { STORAGE } from '../constants';
+import { runStoreRequest } from './indexedDb';
+
+const memoryCache = new Map();
+let persistenceAvailable = true; // Turned off for the session after the first IndexedDB failure
+
+/**
+ * Stop using IndexedDB for the rest of the session
+ */
+function disablePersistence(error) {
+  if (persistenceAvailable) {
+    console.warn('API responses will only be cached for this session:', error);
+    persistenceAvailable = false;
+  }
+}
+
+/**
+ * Whether a cache entry is still usable
+ */
+function isFresh(entry) {
+  return entry.expiresAt === null || entry.expiresAt > Date.now();
+}
+
+/**
+ * Read a cached response
+ * @param {string} url - Request URL
+ * @returns {Promise<*>} Cached JSON data, or undefined if missing or expired
+ */
+export async function readCachedResponse(url) {
+  let entry = memoryCache.get(url);
+
+  if (!entry && persistenceAvailable) {
+    try {
+      entry = await runStoreRequest(STORAGE.STORES.API_CACHE, 'readonly', store => store.get(url));
+    } catch (error) {
+      disablePersistence(error);
+      return undefined;
+    }
+    if (entry) {
+      memoryCache.set(url, entry);
+    }
+  }
+
+  return entry && isFresh(entry) ? entry.data : undefined;
+}
+
+/**
+ * Cache a response
+ * @param {string} url - Request URL
+ * @param {*} data - Parsed JSON response
+ * @param {number} ttlMs - Time to live in milliseconds (Infinity = never expires, 0 = don't cache)
+ * @returns {Promise<void>}
+ */
+export async function writeCachedResponse(url, data, ttlMs) {
+  if (!ttlMs || ttlMs <= 0) return;
+
+  const entry = {
+    url,
+    data,
+    cachedAt: Date.now(),
+    expiresAt: ttlMs === Infinity ? null : Date.now() + ttlMs,
+  };
+  memoryCache.set(url, entry);
+  if (!persistenceAvailable) return;
+
+  try {
+    await runStoreRequest(STORAGE.STORES.API_CACHE, 'readwrite', store => store.put(entry));
+  } catch (error) {
+    disablePersistence(error);
+  }
+}
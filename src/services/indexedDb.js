@@ -0,0 +1,112 @@
+/**
+ * Minimal promise wrapper around the browser's IndexedDB
+ *
+ * One database (STORAGE.DB_NAME) holds every object store the app persists.
+ * Stores and indexes are created in the upgrade handler; bump
+ * STORAGE.DB_VERSION when adding one.
+ */
+
+import { STORAGE } from '../constants';
+
+let databasePromise = null;
+
+/**
+ * Turn an IDBRequest into a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create object stores and indexes
+ * @param {IDBDatabase} db - Database being upgraded
+ */
+function upgradeDatabase(db) {
+  if (!db.objectStoreNames.contains(STORAGE.STORES.LOTTERIES)) {
+    const lotteries = db.createObjectStore(STORAGE.STORES.LOTTERIES, { keyPath: 'id' });
+    lotteries.createIndex('leagueId', 'leagueId', { unique: false });
+  }
+  if (!db.objectStoreNames.contains(STORAGE.STORES.API_CACHE)) {
+    db.createObjectStore(STORAGE.STORES.API_CACHE, { keyPath: 'url' });
+  }
+}
+
+/**
+ * Open (and upgrade if needed) the app database
+ * The connection is shared; a failed open is retried on the next call. The
+ * connection closes itself when another tab opens a newer schema version.
+ * @returns {Promise<IDBDatabase>} Open database
+ * @throws {Error} If IndexedDB is unavailable (e.g., some private browsing modes)
+ */
+export function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(STORAGE.DB_NAME, STORAGE.DB_VERSION);
+      let blocked = false;
+
+      request.onupgradeneeded = () => upgradeDatabase(request.result);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app (e.g., in another tab) upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+
+        if (!blocked) {
+          resolve(db);
+        } else if (!databasePromise) {
+          // The upgrade went through once the other tab let go - use it from now on
+          databasePromise = Promise.resolve(db);
+        } else {
+          db.close();
+        }
+      };
+      request.onerror = () => reject(request.error);
+      // An older tab is holding the database open: fail the callers waiting now
+      // rather than leaving them hanging, but keep the request open to finish later
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error('Database upgrade blocked - close other tabs of this app and reload'));
+      };
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name (STORAGE.STORES)
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} Request result, once the transaction has completed
+ */
+export async function runStoreRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result;
+
+    promisifyRequest(makeRequest(transaction.objectStore(storeName)))
+      .then((value) => { result = value; })
+      .catch(reject);
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Lottery archive
+ *
+ * Every completed lottery is saved to IndexedDB, per league and season, with
+ * everything needed to answer "what were the odds last year?" and to re-check
+ * the draw later: slot configuration, combinations, rules, seed,
+ * commitment and configuration fingerprint, timestamps and the final selections.
+ *
+ * Records are keyed by their commitment, which is unique per draw (the seed
+ * is random), so saving the same lottery twice just overwrites it.
+ */
+
+import { STORAGE } from '../constants';
+import { runStoreRequest } from './indexedDb';
+
+const RECORD_VERSION = 1;
+
+/**
+ * Team fields worth keeping (standings at the time of the lottery)
+ * @param {Object} team - Team object from getLeagueTeams
+ * @returns {Object} Archived team snapshot
+ */
+function snapshotTeam(team) {
+  return {
+    userId: team.userId,
+    teamName: team.teamName,
+    avatar: team.avatar || null,
+    wins: team.wins ?? 0,
+    losses: team.losses ?? 0,
+    ties: team.ties ?? 0,
+    pointsFor: team.pointsFor ?? 0,
+    pointsAgainst: team.pointsAgainst ?? null,
+    potentialPoints: team.potentialPoints ?? null,
+  };
+}
+
+/**
+ * Build an archive record for a finished ceremony
+ * @param {Object} params
+ * @param {string} params.leagueId - Sleeper league ID
+ * @param {Object} params.league - League object (for name and season), may be null
+ * @param {string|number} params.season - Season the lottery was run for
+ * @param {string} params.combinationSet - Key of LOTTERY.COMBINATION_SETS in use
+ * @param {Object} params.ceremony - Ceremony state (teams, proof, results, timestamps)
+ * @returns {Object} Archive record
+ */
+export function createLotteryRecord({ leagueId, league, season, combinationSet, ceremony }) {
+  const { teams, proof, results, armedAt, startedAt, completedAt } = ceremony;
+
+  return {
+    id: proof.commitment,
+    version: RECORD_VERSION,
+    leagueId: String(leagueId),
+    leagueName: league?.name || null,
+    season: season != null ? String(season) : null,
+    combinationSet,
+    rules: proof.rules,
+    slots: teams.map((team, slot) => ({
+      slot,
+      ...snapshotTeam(team),
+      combinations: team.combinations,
+    })),
+    seed: proof.seed,
+    commitment: proof.commitment,
+    fingerprint: proof.fingerprint || null,
+    selections: results.map(selection => ({
+      ...snapshotTeam(selection),
+      pickNumber: selection.pickNumber,
+      position: selection.position,
+      drawn: selection.drawn,
+      forced: selection.forced,
+      ...(selection.balls ? { balls: selection.balls, redraws: selection.redraws } : {}),
+    })),
+    armedAt,
+    startedAt,
+    completedAt: completedAt ?? Date.now(),
+  };
+}
+
+/**
+ * Save a lottery record
+ * @param {Object} record - Record from createLotteryRecord
+ * @returns {Promise<Object>} The saved record
+ */
+export async function saveLottery(record) {
+  await runStoreRequest(STORAGE.STORES.LOTTERIES, 'readwrite', store => store.put(record));
+  return record;
+}
+
+/**
+ * List archived lotteries for a league, newest first
+ * @param {string} leagueId - Sleeper league ID
+ * @returns {Promise<Array<Object>>} Archive records
+ */
+export async function listLotteries(leagueId) {
+  const records = await runStoreRequest(
+    STORAGE.STORES.LOTTERIES,
+    'readonly',
+    store => store.index('leagueId').getAll(String(leagueId))
+  );
+  return (records || []).sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0));
+}
+
+/**
+ * Get one archived lottery
+ * @param {string} id - Record ID (the commitment)
+ * @returns {Promise<Object|null>} Archive record or null
+ */
+export async function getLottery(id) {
+  const record = await runStoreRequest(STORAGE.STORES.LOTTERIES, 'readonly', store => store.get(id));
+  return record || null;
+}
+
+/**
+ * Delete an archived lottery
+ * @param {string} id - Record ID (the commitment)
+ * @returns {Promise<void>}
+ */
+export async function deleteLottery(id) {
+  await runStoreRequest(STORAGE.STORES.LOTTERIES, 'readwrite', store => store.delete(id));
+}
@@ -1,9 +1,13 @@
 /**
  * Sleeper API integration for Fantasy Football data
  * Documentation: https://docs.sleeper.app/
+ *
+ * Responses are cached per endpoint (see API_CACHE.TTL_MS and apiCache.js);
+ * pass { forceRefresh: true } to skip the cache and store fresh data.
  */
 
-import { SLEEPER_API, POINTS_AGAINST } from '../constants';
+import { SLEEPER_API, POINTS_AGAINST, API_CACHE } from '../constants';
+import { readCachedResponse, writeCachedResponse } from './apiCache';
 
 const REQUEST_TIMEOUT_MS = 10000; // 10 seconds
 
@@ -32,12 +36,67 @@ export function getAvatarUrl(avatarId, thumbnail = false) {
 }
 
 /**
- * Fetch with timeout
+ * Request scheduler: at most SLEEPER_API.MAX_CONCURRENT_REQUESTS requests
+ * are in flight; the rest wait their turn in order.
+ */
+let activeRequests = 0;
+const waitingRequests = [];
+
+/**
+ * Wait for a free request slot
+ */
+function acquireRequestSlot() {
+  if (activeRequests < SLEEPER_API.MAX_CONCURRENT_REQUESTS) {
+    activeRequests += 1;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waitingRequests.push(resolve));
+}
+
+/**
+ * Free a request slot, handing it straight to the next waiting request
+ */
+function releaseRequestSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests -= 1;
+  }
+}
+
+/**
+ * Whether a response status is worth retrying (rate limited or server error)
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Backoff before the next attempt: exponential with jitter, or the server's Retry-After
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Response} response - Failed response, if any
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response = null) {
+  const { BASE_DELAY_MS, MAX_DELAY_MS } = SLEEPER_API.RETRY;
+  const retryAfterSeconds = Number(response?.headers?.get('Retry-After'));
+  if (retryAfterSeconds > 0) {
+    return Math.min(retryAfterSeconds * 1000, MAX_DELAY_MS);
+  }
+
+  // Half the backoff is fixed, half is random so retries from parallel requests spread out
+  const backoff = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Single fetch with timeout
  * @param {string} url - URL to fetch
  * @param {number} timeout - Timeout in milliseconds
  * @returns {Promise<Response>} Fetch response
  */
-async function fetchWithTimeout(url, timeout = REQUEST_TIMEOUT_MS) {
+async function fetchOnce(url, timeout) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
@@ -54,20 +113,92 @@ async function fetchWithTimeout(url, timeout = REQUEST_TIMEOUT_MS) {
   }
 }
 
+/**
+ * Fetch with timeout, through the request scheduler
+ * 429 and 5xx responses and network failures are retried with backoff
+ * (up to SLEEPER_API.RETRY.MAX_ATTEMPTS); the slot is freed while waiting.
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Timeout in milliseconds (per attempt)
+ * @returns {Promise<Response>} Fetch response (the last one if every attempt failed)
+ */
+async function fetchWithTimeout(url, timeout = REQUEST_TIMEOUT_MS) {
+  const { MAX_ATTEMPTS } = SLEEPER_API.RETRY;
+
+  for (let attempt = 1; ; attempt += 1) {
+    let response = null;
+    await acquireRequestSlot();
+    try {
+      response = await fetchOnce(url, timeout);
+    } catch (error) {
+      // Network failures (TypeError) are retried; timeouts have already waited long enough
+      if (error.name !== 'TypeError' || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    } finally {
+      releaseRequestSlot();
+    }
+
+    if (response && (!isRetryableStatus(response.status) || attempt >= MAX_ATTEMPTS)) {
+      return response;
+    }
+    // Discard the failed response's body so its connection is released before retrying
+    await response?.body?.cancel().catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt, response)));
+  }
+}
+
+/**
+ * Fetch through the response cache
+ * Cached data comes back as a synthetic 200 response so callers keep their
+ * status handling; only successful JSON responses are cached.
+ * @param {string} url - URL to fetch
+ * @param {Object} options
+ * @param {number|Function} options.ttl - Time to live in ms, or (data) => ms for data-dependent expiry
+ * @param {boolean} options.forceRefresh - Skip the cached copy (the fresh response is still cached)
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} Fetch response
+ */
+async function fetchCached(url, { ttl, forceRefresh = false, timeout = REQUEST_TIMEOUT_MS } = {}) {
+  if (!forceRefresh) {
+    const cached = await readCachedResponse(url);
+    if (cached !== undefined) {
+      return new Response(JSON.stringify(cached), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  }
+
+  const response = await fetchWithTimeout(url, timeout);
+  if (response.ok) {
+    try {
+      const data = await response.clone().json();
+      await writeCachedResponse(url, data, typeof ttl === 'function' ? ttl(data) : ttl);
+    } catch (error) {
+      // Not JSON - leave it to the caller
+    }
+  }
+  return response;
+}
+
 /**
  * Fetch league information
  * @param {string} leagueId - The Sleeper league ID
+ * @param {Object} options - { forceRefresh } - skip the response cache
  * @returns {Promise<Object>} League data
  * @throws {Error} If league fetch fails
  */
-export async function getLeague(leagueId) {
+export async function getLeague(leagueId, { forceRefresh = false } = {}) {
   if (!leagueId || typeof leagueId !== 'string') {
     throw new Error('Invalid league ID provided');
   }
 
   try {
     const url = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.LEAGUE(leagueId)}`;
-    const response = await fetchWithTimeout(url);
+    const response = await fetchCached(url, {
+      ttl: data => (data?.status === 'complete' ? API_CACHE.TTL_MS.COMPLETED : API_CACHE.TTL_MS.LEAGUE),
+      forceRefresh,
+    });
     
     if (!response.ok) {
       if (response.status === 404) {
@@ -87,16 +218,65 @@ export async function getLeague(leagueId) {
   }
 }
 
+/**
+ * Build a season -> league ID map by following previous_league_id
+ * Sleeper starts a new league (with a new ID) every season and links it to
+ * the one before, so older seasons are only reachable through that chain.
+ * @param {string} leagueId - The Sleeper league ID to start from (usually the current season)
+ * @param {Object} league - League data for leagueId if already fetched (optional)
+ * @param {Object} options - { forceRefresh } - skip the response cache
+ * @returns {Promise<Object>} Map of season to league ID, e.g. { '2024': '1048...', '2023': '9162...' }
+ * @throws {Error} If the starting league can't be fetched
+ */
+export async function getLeagueSeasons(leagueId, league = null, { forceRefresh = false } = {}) {
+  if (!leagueId || typeof leagueId !== 'string') {
+    throw new Error('Invalid league ID provided');
+  }
+
+  const seasons = {};
+  const visited = new Set();
+  let currentId = leagueId;
+  let current = league;
+
+  // Sleeper uses null or "0" for the first season; the visited set guards against loops
+  while (currentId && currentId !== '0' && !visited.has(currentId)
+    && visited.size < SLEEPER_API.MAX_HISTORY_SEASONS) {
+    visited.add(currentId);
+
+    if (!current) {
+      try {
+        current = await getLeague(currentId, { forceRefresh });
+      } catch (error) {
+        if (visited.size === 1) throw error;
+        // Keep the seasons found so far
+        console.warn('Stopped loading league history:', error);
+        break;
+      }
+    }
+
+    const season = current?.season ? String(current.season) : null;
+    if (season && !seasons[season]) {
+      seasons[season] = currentId;
+    }
+
+    currentId = current?.previous_league_id ? String(current.previous_league_id) : null;
+    current = null;
+  }
+
+  return seasons;
+}
+
 /**
  * Fetch matchups for a specific week
  * @param {string} leagueId - The Sleeper league ID
  * @param {number} week - Week number
+ * @param {Object} options - { ttl, forceRefresh } - cache lifetime and whether to skip the cache
  * @returns {Promise<Array>} Array of matchup objects
  */
-async function getWeekMatchups(leagueId, week) {
+async function getWeekMatchups(leagueId, week, { ttl = API_CACHE.TTL_MS.MATCHUPS, forceRefresh = false } = {}) {
   try {
     const url = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.LEAGUE_MATCHUPS(leagueId, week)}`;
-    const response = await fetchWithTimeout(url);
+    const response = await fetchCached(url, { ttl, forceRefresh });
     
     if (!response.ok) {
       // Return empty array if week doesn't exist yet
@@ -119,12 +299,17 @@ async function getWeekMatchups(leagueId, week) {
 
 /**
  * Get current NFL week (if available) to optimize matchup fetching
+ * @param {Object} options - { forceRefresh } - skip the response cache
  * @returns {Promise<number|null>} Current week number or null if unavailable
  */
-async function getCurrentNFLWeek() {
+async function getCurrentNFLWeek({ forceRefresh = false } = {}) {
   try {
     const url = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.NFL_STATE()}`;
-    const response = await fetchWithTimeout(url, 5000); // Shorter timeout for this call
+    const response = await fetchCached(url, {
+      ttl: API_CACHE.TTL_MS.NFL_STATE,
+      forceRefresh,
+      timeout: 5000, // Shorter timeout for this call
+    });
     
     if (response.ok) {
       const state = await response.json();
@@ -141,15 +326,20 @@ async function getCurrentNFLWeek() {
  * This is a lightweight calculation that only processes matchup data
  * @param {string} leagueId - The Sleeper league ID
  * @param {Object} league - League object (to get season info)
- * @returns {Promise<Object>} Map of roster_id to points against
+ * Weeks that fail (after retries) are skipped, so totals can be partial.
+ * @param {Object} options - { forceRefresh } - skip the response cache
+ * @returns {Promise<Object>} { pointsAgainst: map of roster_id to points against, missingWeeks: week numbers }
  */
-async function calculatePointsAgainst(leagueId, league) {
+async function calculatePointsAgainst(leagueId, league, { forceRefresh = false } = {}) {
   const pointsAgainstMap = {};
+  // A completed season's matchups never change
+  const seasonComplete = league?.status === 'complete';
+  const ttl = seasonComplete ? API_CACHE.TTL_MS.COMPLETED : API_CACHE.TTL_MS.MATCHUPS;
   
   // Try to get current week to optimize (only fetch completed weeks)
   let maxWeek = POINTS_AGAINST.MAX_WEEKS;
   try {
-    const currentWeek = await getCurrentNFLWeek();
+    const currentWeek = seasonComplete ? null : await getCurrentNFLWeek({ forceRefresh });
     if (currentWeek && currentWeek > 0) {
       // Fetch up to current week + 1 (in case current week is still being played)
       maxWeek = Math.min(currentWeek + 1, POINTS_AGAINST.MAX_WEEKS);
@@ -159,74 +349,91 @@ async function calculatePointsAgainst(leagueId, league) {
   }
   
   // Fetch matchups for weeks (optimized to only fetch necessary weeks)
-  const weekPromises = [];
-  for (let week = 1; week <= maxWeek; week++) {
-    weekPromises.push(getWeekMatchups(leagueId, week));
-  }
-  
-  try {
-    const allWeekMatchups = await Promise.all(weekPromises);
+  const weeks = Array.from({ length: maxWeek }, (_, index) => index + 1);
+  const weekResults = await Promise.allSettled(
+    weeks.map(week => getWeekMatchups(leagueId, week, { ttl, forceRefresh }))
+  );
+
+  // Keep every week that loaded; report the rest
+  const missingWeeks = [];
+  weekResults.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.warn(`Could not load matchups for week ${weeks[index]}:`, result.reason);
+      missingWeeks.push(weeks[index]);
+      return;
+    }
+
+    const weekMatchups = result.value;
+    if (!Array.isArray(weekMatchups) || weekMatchups.length === 0) {
+      return;
+    }
     
-      // Process each week's matchups
-      allWeekMatchups.forEach((weekMatchups) => {
-        if (!Array.isArray(weekMatchups) || weekMatchups.length === 0) {
-          return;
-        }
-        
-        // Group matchups by matchup_id to find opponents
-        const matchupGroups = {};
-        weekMatchups.forEach(matchup => {
-          const matchupId = matchup.matchup_id;
-          if (matchupId === null || matchupId === undefined) {
-            return; // Skip invalid matchups
-          }
-          if (!matchupGroups[matchupId]) {
-            matchupGroups[matchupId] = [];
-          }
-          matchupGroups[matchupId].push(matchup);
-        });
+    // Group matchups by matchup_id to find opponents
+    const matchupGroups = {};
+    weekMatchups.forEach(matchup => {
+      const matchupId = matchup.matchup_id;
+      if (matchupId === null || matchupId === undefined) {
+        return; // Skip invalid matchups
+      }
+      if (!matchupGroups[matchupId]) {
+        matchupGroups[matchupId] = [];
+      }
+      matchupGroups[matchupId].push(matchup);
+    });
+    
+    // Calculate points against for each team
+    Object.values(matchupGroups).forEach(matchups => {
+      if (matchups.length === 2) {
+        // Standard matchup: team1's points against = team2's points for
+        const [team1, team2] = matchups;
+        const team1RosterId = team1.roster_id;
+        const team2RosterId = team2.roster_id;
+        const team1Points = parseFloat(team1.points) || 0;
+        const team2Points = parseFloat(team2.points) || 0;
         
-        // Calculate points against for each team
-        Object.values(matchupGroups).forEach(matchups => {
-          if (matchups.length === 2) {
-            // Standard matchup: team1's points against = team2's points for
-            const [team1, team2] = matchups;
-            const team1RosterId = team1.roster_id;
-            const team2RosterId = team2.roster_id;
-            const team1Points = parseFloat(team1.points) || 0;
-            const team2Points = parseFloat(team2.points) || 0;
-            
-            // Only add points if roster IDs are valid
-            if (team1RosterId !== null && team1RosterId !== undefined) {
-              pointsAgainstMap[team1RosterId] = (pointsAgainstMap[team1RosterId] || 0) + team2Points;
-            }
-            if (team2RosterId !== null && team2RosterId !== undefined) {
-              pointsAgainstMap[team2RosterId] = (pointsAgainstMap[team2RosterId] || 0) + team1Points;
-            }
-          } else if (matchups.length === 1) {
-            // Bye week or single team - no points against added for this week
-            // Points against stays at current value (or 0 if not initialized)
-          }
-          // Handle cases with more than 2 teams (rare, but possible) - skip for now
-        });
-      });
-  } catch (error) {
-    console.warn('Error calculating points against, continuing without it:', error);
-    // Return empty map if calculation fails
-    return {};
-  }
+        // Only add points if roster IDs are valid
+        if (team1RosterId !== null && team1RosterId !== undefined) {
+          pointsAgainstMap[team1RosterId] = (pointsAgainstMap[team1RosterId] || 0) + team2Points;
+        }
+        if (team2RosterId !== null && team2RosterId !== undefined) {
+          pointsAgainstMap[team2RosterId] = (pointsAgainstMap[team2RosterId] || 0) + team1Points;
+        }
+      } else if (matchups.length === 1) {
+        // Bye week or single team - no points against added for this week
+        // Points against stays at current value (or 0 if not initialized)
+      }
+      // Handle cases with more than 2 teams (rare, but possible) - skip for now
+    });
+  });
   
-  return pointsAgainstMap;
+  return { pointsAgainst: pointsAgainstMap, missingWeeks };
+}
+
+/**
+ * Read an exact points total from roster settings
+ * Sleeper splits points into a whole part (e.g., fpts: 1523) and two
+ * decimal digits (fpts_decimal: 46) for 1523.46.
+ * @param {Object} settings - roster.settings
+ * @param {string} field - 'fpts', 'fpts_against' or 'ppts'
+ * @returns {number|null} Points, or null if Sleeper doesn't report the field
+ */
+function readRosterPoints(settings, field) {
+  const whole = settings?.[field];
+  if (whole === null || whole === undefined) return null;
+  const decimal = Number(settings[`${field}_decimal`]) || 0;
+  return Math.round((Number(whole) + decimal / 100) * 100) / 100;
 }
 
 /**
  * Fetch all teams in a league
  * @param {string} leagueId - The Sleeper league ID
  * @param {Object} league - Optional league object (if already fetched)
+ * @param {Object} options - { includePointsAgainst, forceRefresh } - set includePointsAgainst false to never
+ *   fall back to the matchup calls (e.g., for past seasons); forceRefresh skips the response cache
  * @returns {Promise<Array>} Array of team objects
  * @throws {Error} If teams fetch fails
  */
-export async function getLeagueTeams(leagueId, league = null) {
+export async function getLeagueTeams(leagueId, league = null, { includePointsAgainst = POINTS_AGAINST.ENABLED, forceRefresh = false } = {}) {
   if (!leagueId || typeof leagueId !== 'string') {
     throw new Error('Invalid league ID provided');
   }
@@ -234,9 +441,9 @@ export async function getLeagueTeams(leagueId, league = null) {
   try {
     // Fetch league info if not provided
     let leagueData = league;
-    if (!leagueData) {
+    if (!leagueData && includePointsAgainst) {
       try {
-        leagueData = await getLeague(leagueId);
+        leagueData = await getLeague(leagueId, { forceRefresh });
       } catch (error) {
         console.warn('Could not fetch league info, continuing without points against:', error);
       }
@@ -247,8 +454,8 @@ export async function getLeagueTeams(leagueId, league = null) {
     const rostersUrl = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.LEAGUE_ROSTERS(leagueId)}`;
     
     const [usersResponse, rostersResponse] = await Promise.all([
-      fetchWithTimeout(usersUrl),
-      fetchWithTimeout(rostersUrl),
+      fetchCached(usersUrl, { ttl: API_CACHE.TTL_MS.USERS, forceRefresh }),
+      fetchCached(rostersUrl, { ttl: API_CACHE.TTL_MS.ROSTERS, forceRefresh }),
     ]);
     
     if (!usersResponse.ok) {
@@ -269,13 +476,17 @@ export async function getLeagueTeams(leagueId, league = null) {
       throw new Error('Invalid data format received from API');
     }
     
-    // Calculate points against from matchups (only if enabled)
-    // Note: This requires fetching matchups for all weeks, so it's disabled by default
-    // Set POINTS_AGAINST.ENABLED = true in constants to enable
+    // Points against comes from roster settings; rosters without it (older
+    // leagues, or before any games are scored) fall back to summing opponents'
+    // points from every week's matchups (only if enabled - up to 18 API calls)
+    const needsCalculatedPointsAgainst = rosters.some(roster => (
+      roster.owner_id && readRosterPoints(roster.settings, 'fpts_against') === null
+    ));
     let pointsAgainstMap = {};
-    if (POINTS_AGAINST.ENABLED && leagueData) {
+    let missingWeeks = [];
+    if (includePointsAgainst && leagueData && needsCalculatedPointsAgainst) {
       try {
-        pointsAgainstMap = await calculatePointsAgainst(leagueId, leagueData);
+        ({ pointsAgainst: pointsAgainstMap, missingWeeks } = await calculatePointsAgainst(leagueId, leagueData, { forceRefresh }));
       } catch (error) {
         console.warn('Could not calculate points against:', error);
         // Continue without points against
@@ -286,22 +497,29 @@ export async function getLeagueTeams(leagueId, league = null) {
     const teams = users.map(user => {
       const roster = rosters.find(r => r.owner_id === user.user_id);
       const rosterId = roster?.roster_id;
-      // Points against: use calculated value if available, otherwise null (not calculated)
+      const pointsFor = readRosterPoints(roster?.settings, 'fpts') ?? 0;
+      const rosterPointsAgainst = readRosterPoints(roster?.settings, 'fpts_against');
+      // Calculated fallback if available, otherwise null (not calculated)
       // Note: 0 is a valid value (team's opponents scored 0 total points)
-      const pointsAgainst = rosterId !== null && rosterId !== undefined && pointsAgainstMap[rosterId] !== undefined
+      const calculatedPointsAgainst = rosterId !== null && rosterId !== undefined && pointsAgainstMap[rosterId] !== undefined
         ? pointsAgainstMap[rosterId]
         : null;
       
       return {
         userId: user.user_id,
+        rosterId: rosterId ?? null,
         teamName: user.display_name || user.metadata?.team_name || `Team ${user.user_id}`,
         avatar: getAvatarUrl(user.avatar),
         wins: roster?.settings?.wins || 0,
         losses: roster?.settings?.losses || 0,
         ties: roster?.settings?.ties || 0,
-        pointsFor: roster?.settings?.fpts || 0,
-        pointsAgainst: pointsAgainst,
-        totalPoints: roster?.settings?.fpts || 0,
+        pointsFor,
+        pointsAgainst: rosterPointsAgainst ?? calculatedPointsAgainst,
+        // Weeks left out of a calculated pointsAgainst because their matchups couldn't be loaded
+        pointsAgainstMissingWeeks: rosterPointsAgainst === null ? missingWeeks : [],
+        // Max potential points (best possible lineup every week), null if Sleeper doesn't report it
+        potentialPoints: readRosterPoints(roster?.settings, 'ppts'),
+        totalPoints: pointsFor,
         waiverPosition: roster?.settings?.waiver_position || null,
         waiverBudget: roster?.settings?.waiver_budget_used || null,
       };
@@ -324,17 +542,18 @@ export async function getLeagueTeams(leagueId, league = null) {
 /**
  * Fetch user information
  * @param {string} userId - The Sleeper user ID
+ * @param {Object} options - { forceRefresh } - skip the response cache
  * @returns {Promise<Object>} User data
  * @throws {Error} If user fetch fails
  */
-export async function getUser(userId) {
+export async function getUser(userId, { forceRefresh = false } = {}) {
   if (!userId || typeof userId !== 'string') {
     throw new Error('Invalid user ID provided');
   }
 
   try {
     const url = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.USER(userId)}`;
-    const response = await fetchWithTimeout(url);
+    const response = await fetchCached(url, { ttl: API_CACHE.TTL_MS.USER, forceRefresh });
     
     if (!response.ok) {
       if (response.status === 404) {
@@ -356,17 +575,18 @@ export async function getUser(userId) {
 /**
  * Fetch all drafts for a league
  * @param {string} leagueId - The Sleeper league ID
+ * @param {Object} options - { forceRefresh } - skip the response cache
  * @returns {Promise<Array>} Array of draft objects
  * @throws {Error} If drafts fetch fails
  */
-export async function getLeagueDrafts(leagueId) {
+export async function getLeagueDrafts(leagueId, { forceRefresh = false } = {}) {
   if (!leagueId || typeof leagueId !== 'string') {
     throw new Error('Invalid league ID provided');
   }
 
   try {
     const url = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.LEAGUE_DRAFTS(leagueId)}`;
-    const response = await fetchWithTimeout(url);
+    const response = await fetchCached(url, { ttl: API_CACHE.TTL_MS.DRAFTS, forceRefresh });
     
     if (!response.ok) {
       if (response.status === 404) {
@@ -389,17 +609,22 @@ export async function getLeagueDrafts(leagueId) {
 /**
  * Fetch draft picks for a specific draft
  * @param {string} draftId - The Sleeper draft ID
+ * @param {Object} options - { completed, forceRefresh } - completed drafts are cached for good;
+ *   forceRefresh skips the response cache
  * @returns {Promise<Array>} Array of draft pick objects
  * @throws {Error} If draft picks fetch fails
  */
-export async function getDraftPicks(draftId) {
+export async function getDraftPicks(draftId, { completed = false, forceRefresh = false } = {}) {
   if (!draftId || typeof draftId !== 'string') {
     throw new Error('Invalid draft ID provided');
   }
 
   try {
     const url = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.DRAFT_PICKS(draftId)}`;
-    const response = await fetchWithTimeout(url);
+    const response = await fetchCached(url, {
+      ttl: completed ? API_CACHE.TTL_MS.COMPLETED : API_CACHE.TTL_MS.DRAFT,
+      forceRefresh,
+    });
     
     if (!response.ok) {
       if (response.status === 404) {
@@ -422,17 +647,21 @@ export async function getDraftPicks(draftId) {
 /**
  * Fetch draft details
  * @param {string} draftId - The Sleeper draft ID
+ * @param {Object} options - { forceRefresh } - skip the response cache
  * @returns {Promise<Object>} Draft data
  * @throws {Error} If draft fetch fails
  */
-export async function getDraft(draftId) {
+export async function getDraft(draftId, { forceRefresh = false } = {}) {
   if (!draftId || typeof draftId !== 'string') {
     throw new Error('Invalid draft ID provided');
   }
 
   try {
     const url = `${SLEEPER_API.BASE_URL}${SLEEPER_API.ENDPOINTS.DRAFT(draftId)}`;
-    const response = await fetchWithTimeout(url);
+    const response = await fetchCached(url, {
+      ttl: data => (data?.status === 'complete' ? API_CACHE.TTL_MS.COMPLETED : API_CACHE.TTL_MS.DRAFT),
+      forceRefresh,
+    });
     
     if (!response.ok) {
       if (response.status === 404) {
@@ -0,0 +1,264 @@
+/**
+ * Webhook publishing
+ *
+ * Posts lottery results (and optionally each pick as it is revealed) to a
+ * chat webhook: a Discord embed, Slack blocks, or plain JSON for anything
+ * else. Messages are built from the same per-pick summary as the exports
+ * (see utils/resultsExport.js).
+ *
+ * For local testing, `npm run webhook:stand-in` starts an HTTP server that
+ * accepts and logs every message (see scripts/webhookStandIn.js).
+ */
+
+import { WEBHOOKS } from '../constants';
+import { formatResultsJson } from '../utils/resultsExport';
+
+/**
+ * Load webhook settings saved on this device
+ * @returns {Object} Settings (see WEBHOOKS.DEFAULT_SETTINGS)
+ */
+export function loadWebhookSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WEBHOOKS.SETTINGS_KEY) || 'null');
+    return { ...WEBHOOKS.DEFAULT_SETTINGS, ...saved };
+  } catch {
+    return { ...WEBHOOKS.DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save webhook settings on this device
+ * @param {Object} settings - Settings (see WEBHOOKS.DEFAULT_SETTINGS)
+ */
+export function saveWebhookSettings(settings) {
+  try {
+    localStorage.setItem(WEBHOOKS.SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save webhook settings:', error);
+  }
+}
+
+/**
+ * Check a webhook URL
+ * @param {string} url - Webhook URL
+ * @returns {Object} { isValid, error }
+ */
+export function validateWebhookUrl(url) {
+  if (!url || !url.trim()) {
+    return { isValid: false, error: 'Webhook URL is required' };
+  }
+  try {
+    const { protocol } = new URL(url.trim());
+    if (protocol !== 'https:' && protocol !== 'http:') {
+      return { isValid: false, error: 'Webhook URL must start with https:// or http://' };
+    }
+  } catch {
+    return { isValid: false, error: 'Webhook URL is not a valid URL' };
+  }
+  return { isValid: true, error: null };
+}
+
+/**
+ * Resolve the message format for a webhook
+ * @param {string} url - Webhook URL
+ * @param {string} format - Key of WEBHOOKS.FORMATS
+ * @returns {string} 'DISCORD', 'SLACK' or 'GENERIC'
+ */
+export function resolveWebhookFormat(url, format = 'AUTO') {
+  if (format !== 'AUTO') return format;
+  if (/^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\//.test(url)) return 'DISCORD';
+  if (/^https:\/\/hooks\.slack\.com\//.test(url)) return 'SLACK';
+  return 'GENERIC';
+}
+
+/**
+ * Escape Discord markdown in user-provided text (team and league names)
+ */
+function escapeDiscord(text) {
+  return String(text).replace(/([\\*_~`|>])/g, '\\$1');
+}
+
+/**
+ * Escape the characters Slack mrkdwn treats as control characters
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Pre-lottery seed and movement, e.g. " (seed 5 ▲3)"
+ */
+function formatSeed(pick) {
+  if (pick.preLotterySlot === null) return '';
+  const movement = pick.movement > 0 ? ` ▲${pick.movement}` : pick.movement < 0 ? ` ▼${-pick.movement}` : '';
+  return ` (seed ${pick.preLotterySlot}${movement})`;
+}
+
+/**
+ * One line per pick: number, team, pre-lottery seed and movement
+ */
+function formatPickLine(pick, escape, bold) {
+  return `${bold(`#${pick.pickNumber}`)} ${pick.pickNumber === 1 ? '🏆 ' : ''}${escape(pick.teamName)}${formatSeed(pick)}`;
+}
+
+/**
+ * Title line shared by every message
+ */
+function formatTitle(summary) {
+  return `${summary.leagueName || 'Fantasy Football'} Draft Lottery${summary.season ? ` - ${summary.season}` : ''}`;
+}
+
+/**
+ * Build the message posted when a lottery completes
+ * @param {Object} summary - Summary from summarizeLotteryResults
+ * @param {string} format - 'DISCORD', 'SLACK' or 'GENERIC'
+ * @param {Object} options - { permalink } link to the verifiable results (optional)
+ * @returns {Object} Webhook payload
+ */
+export function buildResultsMessage(summary, format, { permalink = null } = {}) {
+  const { proof } = summary;
+
+  if (format === 'DISCORD') {
+    return {
+      username: WEBHOOKS.USERNAME,
+      embeds: [{
+        title: formatTitle(summary),
+        url: permalink || undefined,
+        color: WEBHOOKS.EMBED_COLOR,
+        description: summary.picks.map(pick => formatPickLine(pick, escapeDiscord, text => `**${text}**`)).join('\n'),
+        fields: proof ? [{
+          name: 'Fairness proof',
+          value: `Commitment \`${proof.commitment}\`\nSeed \`${proof.seed}\``,
+        }] : [],
+        footer: permalink ? { text: 'Open the title link to verify the draw' } : undefined,
+        timestamp: summary.completedAt ? new Date(summary.completedAt).toISOString() : undefined,
+      }],
+    };
+  }
+
+  if (format === 'SLACK') {
+    const context = [
+      proof && `Commitment \`${proof.commitment}\` · Seed \`${proof.seed}\``,
+      permalink && `<${permalink}|Verify the draw>`,
+    ].filter(Boolean);
+    return {
+      text: `${formatTitle(summary)}: ${summary.picks[0]?.teamName} wins the #1 pick`,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: formatTitle(summary) } },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: summary.picks.map(pick => formatPickLine(pick, escapeSlack, text => `*${text}*`)).join('\n'),
+          },
+        },
+        ...(context.length ? [{ type: 'context', elements: context.map(text => ({ type: 'mrkdwn', text })) }] : []),
+      ],
+    };
+  }
+
+  return {
+    event: 'lottery.completed',
+    permalink,
+    results: formatResultsJson(summary),
+  };
+}
+
+/**
+ * Build the message posted live when a pick is revealed
+ * @param {Object} summary - Summary from summarizeLotteryResults with just the revealed pick
+ * @param {string} format - 'DISCORD', 'SLACK' or 'GENERIC'
+ * @returns {Object} Webhook payload
+ */
+export function buildPickMessage(summary, format) {
+  const [pick] = summary.picks;
+  const headline = pick.pickNumber === 1 ? 'And the #1 pick goes to...' : `The #${pick.pickNumber} pick goes to...`;
+
+  const trophy = pick.pickNumber === 1 ? '🏆 ' : '';
+
+  if (format === 'DISCORD') {
+    return {
+      username: WEBHOOKS.USERNAME,
+      content: `${headline} ${trophy}**${escapeDiscord(pick.teamName)}**${formatSeed(pick)}`,
+    };
+  }
+
+  if (format === 'SLACK') {
+    return {
+      text: `${headline} ${pick.teamName}`,
+      blocks: [{
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${headline} ${trophy}*${escapeSlack(pick.teamName)}*${formatSeed(pick)}` },
+      }],
+    };
+  }
+
+  return {
+    event: 'lottery.pick',
+    leagueName: summary.leagueName,
+    season: summary.season,
+    pick,
+  };
+}
+
+/**
+ * Build the message sent by "Send Test"
+ * @param {string} format - 'DISCORD', 'SLACK' or 'GENERIC'
+ * @returns {Object} Webhook payload
+ */
+export function buildTestMessage(format) {
+  const text = 'Draft lottery webhook connected - results will be posted here.';
+  if (format === 'DISCORD') return { username: WEBHOOKS.USERNAME, content: text };
+  if (format === 'SLACK') return { text };
+  return { event: 'lottery.test', message: text };
+}
+
+/**
+ * POST a message to a webhook
+ * Slack's incoming webhooks don't answer CORS preflights, so Slack messages
+ * go out as a simple form post whose response the browser can't read.
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Message from buildResultsMessage / buildPickMessage
+ * @param {string} format - 'DISCORD', 'SLACK' or 'GENERIC'
+ * @returns {Promise<Object>} { confirmed } - false when the response was opaque (Slack)
+ * @throws {Error} If the request fails, times out or the webhook rejects it
+ */
+export async function postWebhook(url, payload, format) {
+  const validation = validateWebhookUrl(url);
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), WEBHOOKS.REQUEST_TIMEOUT_MS);
+
+  try {
+    if (format === 'SLACK') {
+      await fetch(url.trim(), {
+        method: 'POST',
+        mode: 'no-cors',
+        body: new URLSearchParams({ payload: JSON.stringify(payload) }),
+        signal: controller.signal,
+      });
+      return { confirmed: false };
+    }
+
+    const response = await fetch(url.trim(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+    }
+    return { confirmed: true };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Webhook request timed out');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Tamper-evident audit log of the lottery draw
+ *
+ * One entry per pick (in pick order) recording what decided it: the teams
+ * still in the draw with their combination ranges, the random number drawn
+ * (or the ping-pong balls), and the team whose range contained it. Picks
+ * decided without a draw (max-drop rule, standings) are logged too.
+ *
+ * Entries are hash-chained:
+ *   hash_i = SHA-256(prevHash_i | canonical JSON of entry i)
+ *   prevHash_0 = the published commitment, prevHash_i = hash_(i-1)
+ * Editing, removing or reordering any entry changes every hash after it,
+ * and the chain is anchored to the commitment published before the draw.
+ */
+
+import { drawLotteryOrder } from './nbaLottery';
+import { createSeededSource } from './random';
+import { sha256Hex } from './hash';
+
+const AUDIT_LOG_VERSION = 1;
+
+// Anchor for logs without a commitment
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted at every level, so equal entries always hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash one entry onto the chain
+ * @param {string} prevHash - Hash of the previous entry (or the anchor)
+ * @param {Object} entry - Entry without prevHash / hash
+ * @returns {Promise<string>} Hex-encoded SHA-256
+ */
+function hashEntry(prevHash, entry) {
+  return sha256Hex(`${prevHash}|${canonicalJson(entry)}`);
+}
+
+/**
+ * Re-run a seeded draw and collect its audit entries
+ * Same seed, teams and rules as the live draw, so the entries are exactly the live ones.
+ * @param {Array<Object>} teams - Teams in slot order with combinations
+ * @param {Object} proof - { seed, rules } of the draw
+ * @returns {Array<Object>} Raw audit entries in pick order (see drawSlotOrder)
+ */
+export function collectAuditEntries(teams, proof) {
+  const audit = [];
+  drawLotteryOrder(teams, createSeededSource(proof.seed), proof.rules, { audit });
+  return audit;
+}
+
+/**
+ * Hash-chain raw audit entries
+ * @param {Array<Object>} entries - Raw audit entries in pick order
+ * @param {Object} options - { commitment } to anchor the chain to
+ * @returns {Promise<Object>} { version, commitment, entries: [{ index, ..., prevHash, hash }], headHash }
+ */
+export async function buildAuditLog(entries, { commitment = null } = {}) {
+  let prevHash = commitment || GENESIS_HASH;
+  const chained = [];
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = { index, ...entries[index] };
+    const hash = await hashEntry(prevHash, entry);
+    chained.push({ ...entry, prevHash, hash });
+    prevHash = hash;
+  }
+
+  return {
+    version: AUDIT_LOG_VERSION,
+    commitment,
+    entries: chained,
+    headHash: prevHash,
+  };
+}
+
+/**
+ * Build the audit log for a finished draw
+ * @param {Array<Object>} teams - Teams in slot order with combinations
+ * @param {Object} proof - { seed, commitment, rules } of the draw
+ * @returns {Promise<Object>} Audit log (see buildAuditLog)
+ */
+export function createAuditLog(teams, proof) {
+  return buildAuditLog(collectAuditEntries(teams, proof), { commitment: proof.commitment });
+}
+
+/**
+ * Check an audit log's hash chain
+ * @param {Object} log - Audit log (e.g., parsed from a downloaded file)
+ * @returns {Promise<Object>} { isValid, firstInvalidIndex (-1 if valid), error }
+ */
+export async function verifyAuditLog(log) {
+  if (!log || !Array.isArray(log.entries)) {
+    return { isValid: false, firstInvalidIndex: 0, error: 'Audit log has no entries' };
+  }
+
+  let prevHash = log.commitment || GENESIS_HASH;
+
+  for (let i = 0; i < log.entries.length; i++) {
+    const { prevHash: recordedPrevHash, hash, ...entry } = log.entries[i];
+    if (entry.index !== i) {
+      return { isValid: false, firstInvalidIndex: i, error: `Entry ${i + 1} is out of order` };
+    }
+    if (recordedPrevHash !== prevHash) {
+      return { isValid: false, firstInvalidIndex: i, error: `Entry ${i + 1} does not link to the previous entry` };
+    }
+    if (await hashEntry(prevHash, entry) !== hash) {
+      return { isValid: false, firstInvalidIndex: i, error: `Entry ${i + 1} has been modified` };
+    }
+    prevHash = hash;
+  }
+
+  if (log.headHash && log.headHash !== prevHash) {
+    return { isValid: false, firstInvalidIndex: log.entries.length, error: 'Entries are missing from the end of the log' };
+  }
+
+  return { isValid: true, firstInvalidIndex: -1, error: null };
+}
@@ -0,0 +1,177 @@
+/**
+ * Lottery ceremony state machine
+ *
+ * One explicit state for the whole ceremony instead of a handful of flags:
+ *
+ *   idle ──ARM──▶ armed ──START──▶ revealing ◀──RESUME── paused
+ *                  │                 │    └──────PAUSE──────▲
+ *                  │                 ├──FINISH──▶ complete ──SKIP──▶ archived
+ *                  │                 └──SKIP─────────────────────────▲
+ *                  └──CANCEL──▶ idle (also from revealing / paused)
+ *
+ * - idle: nothing drawn, "Run Lottery" available
+ * - armed: seed committed, ceremony dialog open on the start screen
+ * - revealing: picks are being revealed one at a time
+ * - paused: reveal sequence frozen at the current pick
+ * - complete: every pick revealed, dialog still open for the celebration
+ * - archived: dialog closed, final results shown on the page
+ *
+ * The reducer is pure (no timers, no React, no clock - ARM, START, FINISH and
+ * SKIP carry their own `timestamp`), so every transition can be exercised
+ * directly: ceremonyReducer(state, action) → next state.
+ * Actions that aren't valid in the current state leave it unchanged.
+ *
+ * Replays of archived lotteries go through the same states: ARM carries the
+ * recorded results, and START plays them back instead of a new draw.
+ */
+
+export const CEREMONY_STATES = {
+  IDLE: 'idle',
+  ARMED: 'armed',
+  REVEALING: 'revealing',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  ARCHIVED: 'archived',
+};
+
+const { IDLE, ARMED, REVEALING, PAUSED, COMPLETE, ARCHIVED } = CEREMONY_STATES;
+
+/**
+ * States each action can be dispatched from
+ */
+const TRANSITIONS = {
+  ARM: [IDLE, COMPLETE, ARCHIVED],
+  START: [ARMED],
+  PROMPT: [REVEALING, PAUSED],
+  REVEAL: [REVEALING, PAUSED],
+  ANNOUNCE: [REVEALING, PAUSED],
+  PAUSE: [REVEALING],
+  RESUME: [PAUSED],
+  FINISH: [REVEALING],
+  SKIP: [REVEALING, PAUSED, COMPLETE],
+  CANCEL: [ARMED, REVEALING, PAUSED],
+  RESET: [IDLE, ARMED, REVEALING, PAUSED, COMPLETE, ARCHIVED],
+};
+
+export const initialCeremonyState = {
+  status: IDLE,
+  teams: [], // Teams in slot order with combinations
+  proof: null, // { seed, commitment, rules } for commit-reveal
+  results: [], // Full draw in display order (worst pick first, winner last)
+  revealedCount: 0, // Number of results rolled in so far
+  announcedIndex: -1, // Result shown in the headline display (-1 = none)
+  prompt: null, // Commissioner mode: { pickNumber, suspense } while waiting to reveal
+  armedAt: null, // Timestamps (ms since epoch) for the archive
+  startedAt: null,
+  completedAt: null,
+  replay: null, // Replay of an archived lottery: { recordId, leagueName, season, completedAt, results }
+};
+
+/**
+ * Whether an action is allowed from a state
+ * @param {string} status - Current ceremony state
+ * @param {string} actionType - Action type
+ * @returns {boolean} True if the transition exists
+ */
+export function canTransition(status, actionType) {
+  return (TRANSITIONS[actionType] || []).includes(status);
+}
+
+/**
+ * Index of the #1 pick in the results
+ */
+function winnerIndex(results) {
+  return results.findIndex(result => result.pickNumber === 1);
+}
+
+/**
+ * Ceremony reducer
+ *
+ * Actions:
+ * - { type: 'ARM', teams, proof, timestamp, replay }
+ * - { type: 'START', results, timestamp }
+ * - { type: 'PROMPT', prompt } - { pickNumber, suspense } or null
+ * - { type: 'REVEAL', count } - roll in the first `count` results
+ * - { type: 'ANNOUNCE', index } - headline the result at `index`
+ * - { type: 'PAUSE' } / { type: 'RESUME' }
+ * - { type: 'FINISH', timestamp } - reveal sequence played to the end
+ * - { type: 'SKIP', timestamp } - jump to the final results and close the dialog
+ * - { type: 'CANCEL' } / { type: 'RESET' }
+ *
+ * @param {Object} state - Current state
+ * @param {Object} action - Action
+ * @returns {Object} Next state (the same object if the action isn't allowed)
+ */
+export function ceremonyReducer(state, action) {
+  if (!canTransition(state.status, action.type)) {
+    return state;
+  }
+
+  switch (action.type) {
+    case 'ARM':
+      return {
+        ...initialCeremonyState,
+        status: ARMED,
+        teams: action.teams,
+        proof: action.proof,
+        armedAt: action.timestamp ?? null,
+        replay: action.replay ?? null,
+      };
+    case 'START':
+      return {
+        ...state,
+        status: REVEALING,
+        // A replay always plays the recorded results
+        results: state.replay ? state.replay.results : action.results,
+        revealedCount: 0,
+        announcedIndex: -1,
+        prompt: null,
+        startedAt: action.timestamp ?? null,
+      };
+    case 'PROMPT':
+      return { ...state, prompt: action.prompt };
+    case 'REVEAL':
+      return { ...state, revealedCount: Math.min(action.count, state.results.length) };
+    case 'ANNOUNCE':
+      return { ...state, announcedIndex: action.index };
+    case 'PAUSE':
+      return { ...state, status: PAUSED };
+    case 'RESUME':
+      return { ...state, status: REVEALING };
+    case 'FINISH':
+    case 'SKIP':
+      return {
+        ...state,
+        status: action.type === 'FINISH' ? COMPLETE : ARCHIVED,
+        revealedCount: state.results.length,
+        announcedIndex: winnerIndex(state.results),
+        prompt: null,
+        // Skipping after the reveal finished keeps the original completion time
+        completedAt: state.completedAt ?? action.timestamp ?? null,
+      };
+    case 'CANCEL':
+    case 'RESET':
+      return initialCeremonyState;
+    default:
+      return state;
+  }
+}
+
+/**
+ * Derive what the UI shows from the ceremony state
+ * @param {Object} state - Ceremony state
+ * @returns {Object} { showDialog, animationStarted, isRunning, isPaused, showResults, selections, currentSelection }
+ */
+export function getCeremonyView(state) {
+  const { status, results, revealedCount, announcedIndex } = state;
+
+  return {
+    showDialog: [ARMED, REVEALING, PAUSED, COMPLETE].includes(status),
+    animationStarted: [REVEALING, PAUSED, COMPLETE].includes(status),
+    isRunning: status === REVEALING || status === PAUSED,
+    isPaused: status === PAUSED,
+    showResults: (status === COMPLETE || status === ARCHIVED) && results.length > 0,
+    selections: results.slice(0, revealedCount),
+    currentSelection: announcedIndex >= 0 ? results[announcedIndex] : null,
+  };
+}
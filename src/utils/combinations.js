@@ -34,11 +34,21 @@ export function calculateTotalCombinations(combinations) {
 }
 
 /**
- * Calculate percentage chance for each team
- * @param {Array<number>} combinations - Array of combination counts
+ * Calculate percentage chance at Pick #1 for each team
+ * 
+ * With a max drop of 0 (rules.maxDrop === 0) nobody can fall below their slot,
+ * so the team in slot 0 always gets Pick #1. Any larger max drop never forces
+ * Pick #1, so the odds are simply combinations / total.
+ * 
+ * @param {Array<number>} combinations - Array of combination counts (slot order)
+ * @param {Object} rules - Lottery rules (optional)
  * @returns {Array<number>} Array of percentages
  */
-export function calculatePercentages(combinations) {
+export function calculatePercentages(combinations, rules = {}) {
+  if (rules?.maxDrop === 0) {
+    return combinations.map((_, index) => (index === 0 ? 100 : 0));
+  }
+
   const total = calculateTotalCombinations(combinations);
   if (total === 0) return combinations.map(() => 0);
   
@@ -0,0 +1,28 @@
+/**
+ * Browser download helpers
+ */
+
+/**
+ * Save content as a file via a temporary object URL
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type (ignored when content is already a Blob)
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Save a value as pretty-printed JSON
+ * @param {*} value - JSON-serializable value
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJson(value, filename) {
+  downloadFile(JSON.stringify(value, null, 2), filename, 'application/json');
+}
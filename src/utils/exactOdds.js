@@ -0,0 +1,109 @@
+/**
+ * Exact lottery odds
+ *
+ * Computes the full team × pick probability matrix analytically instead of
+ * estimating it with Monte Carlo simulation.
+ *
+ * The lottery is a Markov chain over the set of teams already selected:
+ * after k picks the state is a subset S of teams, and pick k+1 moves to
+ * S ∪ {i} with probability
+ * - combinations_i / sum(combinations of teams not in S) for a drawn pick
+ * - 1 for the team forced in by the max-drop rule or by standings order
+ * Walking every subset in increasing bitmask order (a subset DP) gives the
+ * exact probability of each team landing on each pick, with the same rules
+ * the draw engine applies (lotteryPicks, maxDrop).
+ *
+ * Cost is O(2^N × N), so this is limited to LOTTERY.EXACT_ODDS_MAX_TEAMS.
+ */
+
+import { LOTTERY } from '../constants';
+import { getDrawnPickCount, getMaxDrop } from './nbaLottery';
+
+/**
+ * Compute the exact probability of every slot landing on every pick
+ * @param {Array<number>} combinations - Combination counts in slot order (0 = worst record)
+ * @param {Object} rules - Lottery rules (see LOTTERY.DEFAULT_RULES)
+ * @returns {Array<Array<number>>} Matrix [slot][pick] of percentages (0-100)
+ * @throws {Error} If there are too many teams or the draw can't complete
+ */
+export function computeExactOddsMatrix(combinations, rules = LOTTERY.DEFAULT_RULES) {
+  if (!Array.isArray(combinations) || combinations.length === 0) {
+    throw new Error('At least one team required');
+  }
+
+  const numTeams = combinations.length;
+  if (numTeams > LOTTERY.EXACT_ODDS_MAX_TEAMS) {
+    throw new Error(`Exact odds are limited to ${LOTTERY.EXACT_ODDS_MAX_TEAMS} teams`);
+  }
+
+  const weights = combinations.map(count => Math.max(0, count || 0));
+  const drawnPicks = getDrawnPickCount(rules, numTeams);
+  const maxDrop = getMaxDrop(rules);
+
+  const fullMask = (1 << numTeams) - 1;
+  const stateProbabilities = new Float64Array(fullMask + 1);
+  stateProbabilities[0] = 1;
+
+  const matrix = Array.from({ length: numTeams }, () => Array(numTeams).fill(0));
+
+  // Number of teams already selected for each mask (popcount via lowest bit)
+  const picksMade = new Uint8Array(fullMask + 1);
+  for (let mask = 1; mask <= fullMask; mask++) {
+    picksMade[mask] = picksMade[mask & (mask - 1)] + 1;
+  }
+
+  for (let mask = 0; mask < fullMask; mask++) {
+    const probability = stateProbabilities[mask];
+    if (probability === 0) continue;
+
+    const pickIndex = picksMade[mask]; // 0-based pick being made
+    const pickNumber = pickIndex + 1;
+
+    const assign = (slot, transition) => {
+      matrix[slot][pickIndex] += probability * transition;
+      stateProbabilities[mask | (1 << slot)] += probability * transition;
+    };
+
+    // Max-drop rule: the slot that reached its limit takes this pick
+    const forcedSlot = maxDrop !== null ? pickNumber - 1 - maxDrop : -1;
+    if (forcedSlot >= 0 && forcedSlot < numTeams && !(mask & (1 << forcedSlot))) {
+      assign(forcedSlot, 1);
+      continue;
+    }
+
+    // After the lottery picks, the best remaining slot (worst record) picks next
+    if (pickNumber > drawnPicks) {
+      let slot = 0;
+      while (mask & (1 << slot)) slot++;
+      assign(slot, 1);
+      continue;
+    }
+
+    // Drawn pick: Plackett-Luce over the remaining teams
+    let remainingWeight = 0;
+    for (let slot = 0; slot < numTeams; slot++) {
+      if (!(mask & (1 << slot))) remainingWeight += weights[slot];
+    }
+    if (remainingWeight === 0) {
+      throw new Error('Total combinations cannot be zero');
+    }
+    for (let slot = 0; slot < numTeams; slot++) {
+      if (!(mask & (1 << slot)) && weights[slot] > 0) {
+        assign(slot, weights[slot] / remainingWeight);
+      }
+    }
+  }
+
+  return matrix.map(row => row.map(value => value * 100));
+}
+
+/**
+ * Expected (average) pick for each slot, like the Avg column in NBAODDS.csv
+ * @param {Array<Array<number>>} matrix - Matrix [slot][pick] of percentages
+ * @returns {Array<number>} Expected pick number for each slot
+ */
+export function computeExpectedPicks(matrix) {
+  return matrix.map(row =>
+    row.reduce((sum, percentage, pickIndex) => sum + (pickIndex + 1) * (percentage / 100), 0)
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * Commit-reveal fairness proof for the lottery
+ *
+ * Flow:
+ * 1. Before the draw, a secret seed is generated and the commitment
+ *    SHA-256(seed + canonical slot configuration) is published to the league.
+ * 2. The draw runs with a randomness source seeded from that secret seed.
+ * 3. After the draw, the seed is revealed. Anyone can check that it matches
+ *    the published commitment and re-run the draw to get the exact same
+ *    selections - so the commissioner cannot re-roll until they like the result.
+ */
+
+import { LOTTERY } from '../constants';
+import { drawLotteryOrder } from './nbaLottery';
+import { createSeededSource } from './random';
+import { sha256Hex } from './hash';
+
+/**
+ * Build the canonical JSON representation of a lottery slot configuration
+ * Key order and slot order are fixed so the same configuration always
+ * serializes (and hashes) identically. Rules are included because they
+ * change how the seed maps to picks.
+ * @param {Array<Object>} teams - Teams in slot order with userId and combinations
+ * @param {Object} rules - Lottery rules (see LOTTERY.DEFAULT_RULES)
+ * @returns {string} Canonical JSON string
+ */
+export function canonicalizeLotteryConfig(teams, rules = LOTTERY.DEFAULT_RULES) {
+  if (!Array.isArray(teams)) {
+    throw new Error('Lottery configuration must be an array of teams');
+  }
+
+  const mergedRules = { ...LOTTERY.DEFAULT_RULES, ...rules };
+  const canonicalRules = Object.keys(mergedRules)
+    .sort()
+    .reduce((acc, key) => ({ ...acc, [key]: mergedRules[key] }), {});
+
+  return JSON.stringify({
+    rules: canonicalRules,
+    slots: teams.map((team, index) => ({
+      slot: index,
+      userId: team.userId,
+      combinations: team.combinations || 0,
+    })),
+  });
+}
+
+/**
+ * Fingerprint of a locked lottery configuration
+ * SHA-256 of the canonical JSON alone, so anyone holding the shared JSON can
+ * recompute it; the commitment then binds the seed to this same configuration.
+ * @param {Array<Object>} teams - Teams in slot order with userId and combinations
+ * @param {Object} rules - Lottery rules
+ * @returns {Promise<string>} Hex-encoded SHA-256 fingerprint
+ */
+export function fingerprintLotteryConfig(teams, rules) {
+  return sha256Hex(canonicalizeLotteryConfig(teams, rules));
+}
+
+/**
+ * Create the commitment published before the draw
+ * @param {string} seed - Secret seed
+ * @param {Array<Object>} teams - Teams in slot order with userId and combinations
+ * @param {Object} rules - Lottery rules
+ * @returns {Promise<string>} Hex-encoded SHA-256 commitment
+ */
+export async function createCommitment(seed, teams, rules) {
+  if (!seed || typeof seed !== 'string') {
+    throw new Error('Seed must be a non-empty string');
+  }
+  return sha256Hex(`${seed}|${canonicalizeLotteryConfig(teams, rules)}`);
+}
+
+/**
+ * Check a revealed seed against a published commitment
+ * @param {string} commitment - Commitment published before the draw
+ * @param {string} seed - Revealed seed
+ * @param {Array<Object>} teams - Teams in slot order with userId and combinations
+ * @param {Object} rules - Lottery rules
+ * @returns {Promise<boolean>} True if the seed and configuration match the commitment
+ */
+export async function verifyCommitment(commitment, seed, teams, rules) {
+  if (!commitment || !seed) {
+    return false;
+  }
+  const recomputed = await createCommitment(seed, teams, rules);
+  return recomputed === commitment.toLowerCase();
+}
+
+/**
+ * Re-run the lottery from a revealed seed
+ * Produces the same selections array as the original draw.
+ * @param {string} seed - Revealed seed
+ * @param {Array<Object>} teams - Teams in slot order with userId and combinations
+ * @param {Object} rules - Lottery rules
+ * @returns {Array} Selections ordered from worst pick to winner
+ */
+export function reproduceLottery(seed, teams, rules) {
+  return drawLotteryOrder(teams, createSeededSource(seed), rules);
+}
+
+/**
+ * Selections in pick order (winner first)
+ * @param {Array<Object>} selections - Selections with pickNumber, in any order
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortByPick(selections) {
+  return [...selections].sort((a, b) => a.pickNumber - b.pickNumber);
+}
+
+/**
+ * Read the draw inputs out of a published lottery record
+ * Accepts the record format saved by the lottery archive (see services/lotteryArchive.js).
+ * @param {Object} record - Parsed lottery record
+ * @returns {Object} { seed, commitment, fingerprint, rules, teams (slot order), selections (pick order) }
+ * @throws {Error} If a field needed to re-run the draw is missing or malformed
+ */
+export function parseLotteryRecord(record) {
+  if (!record || typeof record !== 'object') {
+    throw new Error('Lottery record must be a JSON object');
+  }
+
+  const { seed, commitment = null, fingerprint = null, rules, slots, selections } = record;
+
+  if (!seed || typeof seed !== 'string') {
+    throw new Error('Lottery record has no seed');
+  }
+  if (!Array.isArray(slots) || slots.length === 0) {
+    throw new Error('Lottery record has no slot configuration');
+  }
+  if (!Array.isArray(selections) || selections.length === 0) {
+    throw new Error('Lottery record has no selections');
+  }
+
+  const teams = [...slots]
+    .sort((a, b) => (a.slot ?? 0) - (b.slot ?? 0))
+    .map((slot, index) => {
+      if (!slot.userId) {
+        throw new Error(`Slot ${index + 1} has no userId`);
+      }
+      if (!Number.isInteger(slot.combinations) || slot.combinations < 0) {
+        throw new Error(`Slot ${index + 1} has an invalid combinations value`);
+      }
+      return slot;
+    });
+
+  const seenPicks = new Set();
+  selections.forEach((selection, index) => {
+    if (!selection.userId || !Number.isInteger(selection.pickNumber)) {
+      throw new Error(`Selection ${index + 1} needs a userId and a pickNumber`);
+    }
+    if (selection.pickNumber < 1 || selection.pickNumber > teams.length) {
+      throw new Error(`Selection ${index + 1} has pickNumber ${selection.pickNumber}, outside 1-${teams.length}`);
+    }
+    if (seenPicks.has(selection.pickNumber)) {
+      throw new Error(`Pick #${selection.pickNumber} is listed more than once`);
+    }
+    seenPicks.add(selection.pickNumber);
+  });
+
+  return {
+    seed,
+    commitment,
+    fingerprint,
+    rules: { ...LOTTERY.DEFAULT_RULES, ...rules },
+    teams,
+    selections: sortByPick(selections),
+  };
+}
+
+/**
+ * Verify a published lottery record pick for pick
+ * Re-runs the draw from the record alone - no league data is needed.
+ * A record only counts as valid when its own commitment matches; a record
+ * without one reproduces at best, so it is reported as unanchored instead.
+ * The record's commitment only proves something once it is compared with
+ * the commitment announced before the draw - anyone can build a record whose
+ * seed matches its own commitment - so pass that value in when it is known.
+ * @param {Object} record - Parsed lottery record (see parseLotteryRecord)
+ * @param {Object} options - Verification options
+ * @param {string} options.announcedCommitment - Commitment announced before the draw (optional)
+ * @returns {Promise<Object>} {
+ *   commitment, fingerprint (the record's own hashes, lowercased, or null),
+ *   commitmentValid (null if the record has no commitment),
+ *   announcedMatch (null if no announced commitment was given),
+ *   fingerprintValid (null if the configuration was not locked), selectionsMatch, isValid,
+ *   unanchored (true if the record has no commitment to check the seed against),
+ *   firstDivergence (pick number, or null if every pick matches),
+ *   picks: [{ pickNumber, expected, published, matches }]
+ * }
+ * @throws {Error} If the record cannot be parsed (see parseLotteryRecord)
+ */
+export async function verifyLotteryRecord(record, { announcedCommitment = null } = {}) {
+  const { seed, commitment, fingerprint, rules, teams, selections } = parseLotteryRecord(record);
+  const announced = announcedCommitment ? announcedCommitment.trim().toLowerCase() : null;
+
+  const commitmentValid = commitment
+    ? await verifyCommitment(commitment, seed, teams, rules)
+    : null;
+  const fingerprintValid = fingerprint
+    ? await fingerprintLotteryConfig(teams, rules) === fingerprint.toLowerCase()
+    : null;
+  const announcedMatch = announced
+    ? announced === commitment?.toLowerCase()
+    : null;
+
+  const reproduced = sortByPick(reproduceLottery(seed, teams, rules));
+  const publishedByPick = new Map(selections.map(selection => [selection.pickNumber, selection]));
+  const pickCount = Math.max(reproduced.length, ...publishedByPick.keys());
+
+  const picks = Array.from({ length: pickCount }, (_, index) => {
+    const pickNumber = index + 1;
+    const expected = reproduced[index] || null;
+    const published = publishedByPick.get(pickNumber) || null;
+    return {
+      pickNumber,
+      expected,
+      published,
+      matches: Boolean(expected && published && expected.userId === published.userId),
+    };
+  });
+
+  const divergence = picks.find(pick => !pick.matches);
+  const selectionsMatch = !divergence && selections.length === reproduced.length;
+
+  return {
+    commitment: commitment ? commitment.toLowerCase() : null,
+    fingerprint: fingerprint ? fingerprint.toLowerCase() : null,
+    commitmentValid,
+    announcedMatch,
+    fingerprintValid,
+    selectionsMatch,
+    isValid: selectionsMatch
+      && commitmentValid === true
+      && announcedMatch !== false
+      && fingerprintValid !== false,
+    unanchored: commitmentValid === null,
+    firstDivergence: divergence ? divergence.pickNumber : null,
+    picks,
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * Statistical fairness tests for the draw engine
+ *
+ * lotteryVerification.js reports how far simulated odds are from the expected
+ * odds in percentage points, but not whether a gap is larger than chance alone
+ * would explain. This module runs a goodness-of-fit test on every pick column:
+ *
+ * - Observed: how often each team landed on the pick in the simulations
+ * - Expected: iterations × the exact probability from computeExactOddsMatrix
+ * - Chi-square (Pearson) or G-test (likelihood ratio) statistic, with
+ *   degrees of freedom = bins - 1
+ *
+ * Cells expected fewer than LOTTERY.FAIRNESS_TEST.MIN_EXPECTED_COUNT times are
+ * pooled so the chi-square approximation holds. A team landing on a pick it
+ * can't possibly get (expected probability 0) fails the column outright.
+ * Each column is tested at ALPHA / (number of tested columns) (Bonferroni),
+ * so a fair engine passes the whole report with probability ≥ 1 - ALPHA.
+ */
+
+import { LOTTERY } from '../constants';
+import { computeExactOddsMatrix } from './exactOdds';
+import { simulateLotteryCounts } from './lotteryVerification';
+import { cryptoRandomSource } from './random';
+
+// Expected probabilities at or below this are treated as impossible (floating-point noise)
+const IMPOSSIBLE_PROBABILITY = 1e-12;
+
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993,
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, x > 0)
+ * @param {number} x - Argument
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ * Series expansion below a + 1, continued fraction (Lentz) above.
+ * @param {number} a - Shape (> 0)
+ * @param {number} x - Upper limit (≥ 0)
+ * @returns {number} Q(a, x) in [0, 1]
+ */
+function regularizedGammaQ(a, x) {
+  if (x <= 0) return 1;
+
+  const logPrefix = a * Math.log(x) - x - logGamma(a);
+  const maxIterations = 1000;
+  const epsilon = 1e-15;
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < maxIterations; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * epsilon) break;
+    }
+    return Math.max(0, 1 - sum * Math.exp(logPrefix));
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < maxIterations; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return Math.min(1, Math.exp(logPrefix) * h);
+}
+
+/**
+ * P-value of a chi-square distributed statistic
+ * @param {number} statistic - Test statistic (≥ 0)
+ * @param {number} degreesOfFreedom - Degrees of freedom (≥ 1)
+ * @returns {number} P(X ≥ statistic)
+ */
+export function chiSquarePValue(statistic, degreesOfFreedom) {
+  if (degreesOfFreedom <= 0) return 1;
+  return regularizedGammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
+/**
+ * Pool cells with small expected counts so every bin meets the minimum
+ * @param {Array<Object>} cells - { observed, expected } per possible outcome
+ * @param {number} minExpected - Minimum expected count per bin
+ * @returns {Array<Object>} Bins of { observed, expected }
+ */
+function poolSmallCells(cells, minExpected) {
+  const bins = cells.filter(cell => cell.expected >= minExpected).map(cell => ({ ...cell }));
+  const small = cells.filter(cell => cell.expected < minExpected);
+  if (small.length === 0) return bins;
+
+  const pooled = small.reduce(
+    (bin, cell) => ({ observed: bin.observed + cell.observed, expected: bin.expected + cell.expected }),
+    { observed: 0, expected: 0 }
+  );
+
+  if (pooled.expected >= minExpected || bins.length === 0) {
+    bins.push(pooled);
+  } else {
+    // Still too small on its own - fold it into the smallest regular bin
+    const smallest = bins.reduce((min, bin) => (bin.expected < min.expected ? bin : min), bins[0]);
+    smallest.observed += pooled.observed;
+    smallest.expected += pooled.expected;
+  }
+  return bins;
+}
+
+/**
+ * Goodness-of-fit statistic for a set of bins
+ * @param {Array<Object>} bins - { observed, expected } with expected > 0
+ * @param {string} method - Key of LOTTERY.FAIRNESS_TEST.METHODS
+ * @returns {number} Test statistic
+ */
+function computeStatistic(bins, method) {
+  if (method === 'G_TEST') {
+    return 2 * bins.reduce(
+      (sum, { observed, expected }) => (observed > 0 ? sum + observed * Math.log(observed / expected) : sum),
+      0
+    );
+  }
+  return bins.reduce((sum, { observed, expected }) => sum + ((observed - expected) ** 2) / expected, 0);
+}
+
+/**
+ * Test simulated counts against the exact odds, one test per pick column
+ *
+ * @param {Array<Array<number>>} counts - [slot][pick] counters from simulateLotteryCounts
+ * @param {number} iterations - Number of simulations the counts cover
+ * @param {Array<number>} combinations - Combination counts in slot order
+ * @param {Object} rules - Lottery rules the simulations used
+ * @param {Object} options - { method, alpha, minExpected } (defaults: LOTTERY.FAIRNESS_TEST)
+ * @returns {Object} Report: { method, iterations, alpha, columnAlpha, columns, failedPicks, passed }
+ * @throws {Error} If the exact odds can't be computed for this configuration
+ */
+export function testLotteryFairness(counts, iterations, combinations, rules = LOTTERY.DEFAULT_RULES, options = {}) {
+  const {
+    method = LOTTERY.FAIRNESS_TEST.DEFAULT_METHOD,
+    alpha = LOTTERY.FAIRNESS_TEST.ALPHA,
+    minExpected = LOTTERY.FAIRNESS_TEST.MIN_EXPECTED_COUNT,
+  } = options;
+
+  if (!LOTTERY.FAIRNESS_TEST.METHODS[method]) {
+    throw new Error(`Unknown fairness test: ${method}`);
+  }
+  if (!iterations || iterations <= 0) {
+    throw new Error('Fairness tests need at least one simulation');
+  }
+
+  const expectedMatrix = computeExactOddsMatrix(combinations, rules);
+  const numTeams = combinations.length;
+
+  const columns = Array.from({ length: numTeams }, (_, pickIndex) => {
+    const cells = [];
+    const impossibleSlots = [];
+    let worstCell = null;
+
+    for (let slot = 0; slot < numTeams; slot++) {
+      const observed = counts[slot][pickIndex];
+      const probability = expectedMatrix[slot][pickIndex] / 100;
+
+      if (probability <= IMPOSSIBLE_PROBABILITY) {
+        if (observed > 0) impossibleSlots.push(slot);
+        continue;
+      }
+
+      const expected = probability * iterations;
+      cells.push({ observed, expected });
+
+      // Pearson residual - how many standard deviations this team is off
+      const residual = (observed - expected) / Math.sqrt(expected);
+      if (!worstCell || Math.abs(residual) > Math.abs(worstCell.residual)) {
+        worstCell = { slot, observed, expected, residual };
+      }
+    }
+
+    const bins = poolSmallCells(cells, minExpected);
+    const degreesOfFreedom = bins.length - 1;
+    const statistic = degreesOfFreedom > 0 ? computeStatistic(bins, method) : 0;
+
+    return {
+      pick: pickIndex + 1,
+      // Columns decided by rules alone (forced picks, standings order) have nothing to test
+      tested: degreesOfFreedom > 0,
+      statistic,
+      degreesOfFreedom,
+      pValue: impossibleSlots.length > 0 ? 0 : chiSquarePValue(statistic, degreesOfFreedom),
+      impossibleSlots,
+      worstCell,
+    };
+  });
+
+  const testedCount = columns.filter(column => column.tested).length;
+  const columnAlpha = alpha / Math.max(1, testedCount);
+
+  columns.forEach(column => {
+    column.significant = column.impossibleSlots.length > 0 || (column.tested && column.pValue < columnAlpha);
+  });
+
+  const failedPicks = columns.filter(column => column.significant).map(column => column.pick);
+
+  return {
+    method,
+    iterations,
+    alpha,
+    columnAlpha,
+    columns,
+    failedPicks,
+    passed: failedPicks.length === 0,
+  };
+}
+
+/**
+ * Simulate a configuration and test the outcomes for fairness
+ * @param {number} iterations - Number of simulations to run
+ * @param {Array<number>} combinations - Combination counts in slot order
+ * @param {Object} rules - Lottery rules passed to the engine
+ * @param {Object} options - Test options (see testLotteryFairness)
+ * @param {Object} source - Randomness source (default: crypto.getRandomValues)
+ * @returns {Object} Report from testLotteryFairness
+ */
+export function runFairnessTests(iterations, combinations, rules = LOTTERY.DEFAULT_RULES, options = {}, source = cryptoRandomSource) {
+  const counts = simulateLotteryCounts(iterations, combinations, rules, source);
+  return testLotteryFairness(counts, iterations, combinations, rules, options);
+}
+
+/**
+ * Format a fairness report as plain text for sharing with the league
+ * @param {Object} report - Report from testLotteryFairness
+ * @param {Array<string>} teamNames - Optional team names in slot order
+ * @returns {string} Multi-line report
+ */
+export function formatFairnessReport(report, teamNames = []) {
+  const { method, iterations, alpha, columnAlpha, columns, failedPicks, passed } = report;
+  const slotName = (slot) => teamNames[slot] || `Slot ${slot + 1}`;
+  const formatP = (p) => (p < 0.0001 ? '<0.0001' : p.toFixed(4));
+
+  const lines = [
+    'Lottery Fairness Report',
+    `Test: ${LOTTERY.FAIRNESS_TEST.METHODS[method].name}`,
+    `Simulations: ${iterations.toLocaleString()}`,
+    `Significance: ${alpha} overall, ${columnAlpha.toPrecision(3)} per pick (Bonferroni)`,
+    `Result: ${passed ? 'PASS - no pick deviates from the expected odds' : `FAIL - picks ${failedPicks.join(', ')} deviate from the expected odds`}`,
+    '',
+  ];
+
+  columns.forEach(column => {
+    if (!column.tested && column.impossibleSlots.length === 0) {
+      lines.push(`Pick #${column.pick}: determined by rules, not tested`);
+      return;
+    }
+
+    let line = `Pick #${column.pick}: ${column.significant ? 'FAIL' : 'pass'}`
+      + ` statistic=${column.statistic.toFixed(2)} df=${column.degreesOfFreedom} p=${formatP(column.pValue)}`;
+    if (column.worstCell) {
+      line += ` (largest deviation: ${slotName(column.worstCell.slot)}, ${column.worstCell.residual.toFixed(2)}σ)`;
+    }
+    if (column.impossibleSlots.length > 0) {
+      line += ` impossible outcomes: ${column.impossibleSlots.map(slotName).join(', ')}`;
+    }
+    lines.push(line);
+  });
+
+  return lines.join('\n');
+}
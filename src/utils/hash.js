@@ -0,0 +1,123 @@
+/**
+ * Hashing utilities
+ *
+ * sha256Hex uses the Web Crypto API. The seeded lottery draw pulls random
+ * numbers synchronously, so it can't await crypto.subtle - sha256Bytes and
+ * hmacSha256 are a synchronous SHA-256 (FIPS 180-4) and HMAC (RFC 2104) for it.
+ */
+
+// SHA-256 round constants
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+// SHA-256 initial hash value
+const SHA256_INIT = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+const SHA256_BLOCK_BYTES = 64;
+
+/**
+ * Rotate a 32-bit integer right
+ */
+function rotr(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
+
+/**
+ * Compute the SHA-256 hash of a string
+ * @param {string} text - Text to hash (UTF-8 encoded)
+ * @returns {Promise<string>} Lowercase hex-encoded digest
+ */
+export async function sha256Hex(text) {
+  const data = new TextEncoder().encode(text);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compute the SHA-256 hash of some bytes, synchronously
+ * @param {Uint8Array} data - Bytes to hash
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256Bytes(data) {
+  // Pad to whole blocks: a 1 bit, zeros, then the message length in bits (64-bit big-endian)
+  const paddedLength = Math.ceil((data.length + 9) / SHA256_BLOCK_BYTES) * SHA256_BLOCK_BYTES;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(data.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (data.length * 8) >>> 0);
+
+  const state = Uint32Array.from(SHA256_INIT);
+  const w = new Uint32Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += SHA256_BLOCK_BYTES) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  state.forEach((word, index) => digestView.setUint32(index * 4, word));
+  return digest;
+}
+
+/**
+ * Compute HMAC-SHA-256 of a message, synchronously
+ * @param {Uint8Array} key - Secret key
+ * @param {Uint8Array} message - Message to authenticate
+ * @returns {Uint8Array} 32-byte MAC
+ */
+export function hmacSha256(key, message) {
+  const blockKey = new Uint8Array(SHA256_BLOCK_BYTES);
+  blockKey.set(key.length > SHA256_BLOCK_BYTES ? sha256Bytes(key) : key);
+
+  const inner = new Uint8Array(SHA256_BLOCK_BYTES + message.length);
+  const outer = new Uint8Array(SHA256_BLOCK_BYTES + 32);
+  for (let i = 0; i < SHA256_BLOCK_BYTES; i++) {
+    inner[i] = blockKey[i] ^ 0x36;
+    outer[i] = blockKey[i] ^ 0x5c;
+  }
+  inner.set(message, SHA256_BLOCK_BYTES);
+  outer.set(sha256Bytes(inner), SHA256_BLOCK_BYTES);
+  return sha256Bytes(outer);
+}
@@ -8,7 +8,11 @@
  * for each seed position getting picks 1-14.
  */
 
-import { runNBALottery } from './nbaLottery';
+import { LOTTERY } from '../constants';
+import { drawSlotOrder, getDrawnPickCount, getMaxDrop } from './nbaLottery';
+import { assignBallCombinations } from './pingPongLottery';
+import { cryptoRandomSource } from './random';
+import { computeExactOddsMatrix } from './exactOdds';
 
 /**
  * Official NBA lottery combinations (14 teams, 1000 total)
@@ -37,7 +41,8 @@ export const NBA_14_TEAM_COMBINATIONS = [
  * NOTE: The NBA lottery only determines picks 1-4. Picks 5-14 are assigned
  * in reverse order of record (worst team gets pick 5, etc.). However, our
  * implementation uses the Plackett-Luce model to determine ALL picks through
- * the lottery, which is appropriate for fantasy football.
+ * the lottery by default, which is appropriate for fantasy football.
+ * (With rules.lotteryPicks = 4, see NBA_FULL_PROBABILITIES instead.)
  * 
  * Format: [seed][pick] = probability percentage
  * Example: NBA_PROBABILITIES[0][0] = 14.0 (Seed 1, Pick 1 = 14%)
@@ -78,54 +83,126 @@ export const NBA_PROBABILITIES = [
 ];
 
 /**
- * Run lottery simulation multiple times to verify probabilities
+ * Complete official NBA lottery table from NBAODDS.csv (all 14 picks)
+ *
+ * Valid when only picks 1-4 are drawn and picks 5-14 go in reverse order
+ * of record (rules.lotteryPicks = 4). Empty cells are 0; cells listed as
+ * ">0.0" are also 0 at this precision.
+ *
+ * Format: [seed][pick] = probability percentage
+ */
+export const NBA_FULL_PROBABILITIES = [
+  [14.0, 13.4, 12.7, 12.0, 47.9, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  [14.0, 13.4, 12.7, 12.0, 27.8, 20.0, 0, 0, 0, 0, 0, 0, 0, 0],
+  [14.0, 13.4, 12.7, 12.0, 14.8, 26.0, 7.0, 0, 0, 0, 0, 0, 0, 0],
+  [12.5, 12.2, 11.9, 11.5, 7.2, 25.7, 16.7, 2.2, 0, 0, 0, 0, 0, 0],
+  [10.5, 10.5, 10.6, 10.5, 2.2, 19.6, 26.7, 8.7, 0.6, 0, 0, 0, 0, 0],
+  [9.0, 9.2, 9.4, 9.6, 0, 8.6, 29.8, 20.5, 3.7, 0.1, 0, 0, 0, 0],
+  [7.5, 7.8, 8.1, 8.5, 0, 0, 19.7, 34.1, 12.9, 1.3, 0, 0, 0, 0],
+  [6.0, 6.3, 6.7, 7.2, 0, 0, 0, 34.5, 32.1, 6.7, 0.4, 0, 0, 0],
+  [4.5, 4.8, 5.2, 5.7, 0, 0, 0, 0, 50.7, 25.9, 3.0, 0.1, 0, 0],
+  [3.0, 3.3, 3.6, 4.0, 0, 0, 0, 0, 0, 65.9, 19.0, 1.2, 0, 0],
+  [2.0, 2.2, 2.4, 2.8, 0, 0, 0, 0, 0, 0, 77.6, 12.6, 0.4, 0],
+  [1.5, 1.7, 1.9, 2.1, 0, 0, 0, 0, 0, 0, 0, 86.1, 6.7, 0.1],
+  [1.0, 1.1, 1.2, 1.4, 0, 0, 0, 0, 0, 0, 0, 0, 92.9, 2.3],
+  [0.5, 0.6, 0.6, 0.7, 0, 0, 0, 0, 0, 0, 0, 0, 0, 97.6],
+];
+
+/**
+ * Official NBA lottery format: 4 drawn picks, the rest by reverse record
+ */
+export const NBA_OFFICIAL_RULES = {
+  ...LOTTERY.DEFAULT_RULES,
+  lotteryPicks: 4,
+};
+
+/**
+ * Run lottery simulations and tally how often each seed lands on each pick
+ *
+ * Runs the synchronous draw core directly, so 100,000+ iterations take
+ * seconds rather than minutes. Pass an existing `counts` matrix to keep
+ * accumulating across chunks (used by the Simulation Lab worker).
+ *
  * @param {number} iterations - Number of simulations to run
  * @param {Array<number>} combinations - Array of combinations for each team
- * @returns {Promise<Object>} Statistics object with observed probabilities
+ * @param {Object} rules - Lottery rules passed to the engine
+ * @param {Object} source - Randomness source (default: crypto.getRandomValues)
+ * @param {Array<Array<number>>} counts - Optional [seed][pick] counters to add to
+ * @returns {Array<Array<number>>} Counters: [seed][pick] = count
  */
-export async function verifyLotteryProbabilities(iterations = 100000, combinations = NBA_14_TEAM_COMBINATIONS) {
+export function simulateLotteryCounts(iterations, combinations, rules = LOTTERY.DEFAULT_RULES, source = cryptoRandomSource, counts = null) {
   const numTeams = combinations.length;
   
   // Initialize counters: [seed][pick] = count
-  const counts = Array(numTeams).fill(null).map(() => Array(numTeams).fill(0));
+  const tally = counts || Array(numTeams).fill(null).map(() => Array(numTeams).fill(0));
   
-  // Create mock teams
-  const teams = combinations.map((combo, index) => ({
-    userId: `team-${index + 1}`,
-    teamName: `Team ${index + 1}`,
-    combinations: combo,
-    seed: index + 1, // Seed 1 = worst, Seed N = best
-  }));
+  // Ping-pong ball assignment only depends on the combinations, so build it once
+  const options = {
+    ballAssignment: rules?.drawMode === 'PING_PONG' ? assignBallCombinations(combinations) : null,
+  };
   
-  // Run simulations
+  // Run simulations (seed = slot index, Seed 1 = worst)
   for (let i = 0; i < iterations; i++) {
-    const results = await runNBALottery(teams, null, 0); // No delay for speed
+    const order = drawSlotOrder(combinations, source, rules, options);
     
-    // Record results
-    results.forEach((selection) => {
-      const seed = selection.seed - 1; // Convert to 0-based index
-      const pickNumber = selection.pickNumber - 1; // Convert to 0-based index
-      counts[seed][pickNumber]++;
-    });
+    // Record results: order[pickIndex] = seed index
+    for (let pickIndex = 0; pickIndex < numTeams; pickIndex++) {
+      tally[order[pickIndex]][pickIndex]++;
+    }
   }
   
+  return tally;
+}
+
+/**
+ * Turn simulation counts into observed / expected / difference tables
+ *
+ * Expected odds:
+ * - Official NBA combinations, every pick drawn: NBAODDS.csv picks 1-4
+ * - Official NBA combinations, 4 drawn picks (NBA_OFFICIAL_RULES): NBAODDS.csv, all 14 picks
+ * - Anything else: the exact odds matrix for the configuration, every pick
+ *
+ * @param {Array<Array<number>>} counts - Counters from simulateLotteryCounts
+ * @param {number} iterations - Number of simulations the counts cover
+ * @param {Array<number>} combinations - Array of combinations for each team
+ * @param {Object} rules - Lottery rules the simulations used
+ * @returns {Object} Statistics object with observed probabilities
+ */
+export function summarizeLotteryCounts(counts, iterations, combinations, rules = LOTTERY.DEFAULT_RULES) {
+  const numTeams = combinations.length;
+  
   // Calculate observed probabilities
-  const observed = counts.map((seedCounts, seedIndex) => 
-    seedCounts.map(count => (count / iterations) * 100)
+  const observed = counts.map((seedCounts) => 
+    seedCounts.map(count => (iterations > 0 ? (count / iterations) * 100 : 0))
   );
   
+  // Exact odds for this configuration (null if too many teams for the subset DP)
+  const exact = numTeams <= LOTTERY.EXACT_ODDS_MAX_TEAMS
+    ? computeExactOddsMatrix(combinations, rules)
+    : null;
+  
   // Calculate expected probabilities (if we have them)
-  const expected = numTeams === 14 ? NBA_PROBABILITIES : null;
+  // NBAODDS.csv only applies to the official combinations; the full table only
+  // when the draw stops after 4 picks, like the NBA
+  const isNbaCombinations = numTeams === NBA_14_TEAM_COMBINATIONS.length
+    && combinations.every((count, index) => count === NBA_14_TEAM_COMBINATIONS[index]);
+  const drawnPicks = getDrawnPickCount(rules, numTeams);
+  const maxDrop = getMaxDrop(rules);
+  const isOfficialFormat = isNbaCombinations && drawnPicks === 4 && (maxDrop === null || maxDrop >= 4);
+  const isNbaDefault = isNbaCombinations && drawnPicks === numTeams && maxDrop === null;
+  const expected = isOfficialFormat
+    ? NBA_FULL_PROBABILITIES
+    : (isNbaDefault ? NBA_PROBABILITIES : exact);
+  const comparedPicks = isNbaDefault ? 4 : numTeams;
   
-  // Calculate differences (only for picks 1-4, which are the official NBA lottery picks)
+  // Calculate differences (picks 1-4 against NBA_PROBABILITIES, otherwise every pick)
   const differences = expected ? observed.map((seedProbs, seedIndex) =>
     seedProbs.map((obsProb, pickIndex) => {
-      // Only compare picks 1-4 (indices 0-3) against NBA official probabilities
-      if (pickIndex < 4) {
+      if (pickIndex < comparedPicks) {
         const expProb = expected[seedIndex]?.[pickIndex] || 0;
         return Math.abs(obsProb - expProb);
       }
-      // For picks 5+, we don't have official NBA probabilities (they use reverse order)
+      // For picks 5+ with every pick drawn, the NBA has no equivalent (they use reverse order)
       return null;
     })
   ) : null;
@@ -136,37 +213,61 @@ export async function verifyLotteryProbabilities(iterations = 100000, combinatio
     expected,
     differences,
     counts,
+    comparedPicks,
+    exact,
   };
 }
 
+/**
+ * Run lottery simulation multiple times to verify probabilities
+ *
+ * With the official 14-team combinations, observed odds are compared against NBAODDS.csv:
+ * - Default rules (every pick drawn): picks 1-4 only
+ * - 4 drawn picks (NBA_OFFICIAL_RULES): all 14 picks
+ * Any other configuration is compared against the exact odds matrix on every pick.
+ *
+ * @param {number} iterations - Number of simulations to run
+ * @param {Array<number>} combinations - Array of combinations for each team
+ * @param {Object} rules - Lottery rules passed to the engine
+ * @param {Object} source - Randomness source (default: crypto.getRandomValues)
+ * @returns {Object} Statistics object with observed probabilities
+ */
+export function verifyLotteryProbabilities(iterations = 100000, combinations = NBA_14_TEAM_COMBINATIONS, rules = LOTTERY.DEFAULT_RULES, source = cryptoRandomSource) {
+  const counts = simulateLotteryCounts(iterations, combinations, rules, source);
+  return summarizeLotteryCounts(counts, iterations, combinations, rules);
+}
+
 /**
  * Print verification results in a readable format
  * @param {Object} results - Results from verifyLotteryProbabilities
  */
 export function printVerificationResults(results) {
-  const { iterations, observed, expected, differences } = results;
+  const { iterations, observed, expected, differences, comparedPicks = 4 } = results;
   const numTeams = observed.length;
+  const shownPicks = Math.min(comparedPicks, numTeams);
   
   console.log(`\n=== Lottery Verification Results (${iterations.toLocaleString()} iterations) ===`);
-  console.log('NOTE: Comparing picks 1-4 against official NBA lottery probabilities.\n');
+  console.log(expected && expected === results.exact
+    ? `NOTE: Comparing picks 1-${shownPicks} against exact Plackett-Luce probabilities.\n`
+    : `NOTE: Comparing picks 1-${shownPicks} against official NBA lottery probabilities.\n`);
   
   for (let seed = 0; seed < numTeams; seed++) {
     const comboCount = numTeams === 14 ? NBA_14_TEAM_COMBINATIONS[seed] : 'N/A';
     console.log(`Seed ${seed + 1} (${comboCount} combinations):`);
     
-    // Show picks 1-4 (the official NBA lottery picks)
-    for (let pick = 0; pick < 4; pick++) {
+    // Show compared picks (1-4, or all picks in the official format)
+    for (let pick = 0; pick < shownPicks; pick++) {
       const obs = observed[seed][pick].toFixed(2);
       const exp = expected?.[seed]?.[pick]?.toFixed(2) || 'N/A';
-      const diff = differences?.[seed]?.[pick] !== null ? differences[seed][pick].toFixed(2) : 'N/A';
+      const diff = differences?.[seed]?.[pick] != null ? differences[seed][pick].toFixed(2) : 'N/A';
       
       console.log(`  Pick #${pick + 1}: Observed=${obs}%, Expected=${exp}%, Diff=${diff}%`);
     }
     
-    // Show summary for picks 5+
-    if (numTeams > 4) {
-      const picks5Plus = observed[seed].slice(4).reduce((sum, prob) => sum + prob, 0);
-      console.log(`  Picks 5-${numTeams}: ${picks5Plus.toFixed(2)}% (Plackett-Luce model)`);
+    // Show summary for the picks after the compared ones
+    if (numTeams > shownPicks) {
+      const laterPicks = observed[seed].slice(shownPicks).reduce((sum, prob) => sum + prob, 0);
+      console.log(`  Picks ${shownPicks + 1}-${numTeams}: ${laterPicks.toFixed(2)}% (Plackett-Luce model)`);
     }
     
     console.log('');
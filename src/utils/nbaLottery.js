@@ -7,7 +7,8 @@
  * as documented in NBAODDS.csv. The Plackett-Luce model correctly calculates:
  * - Pick #1 probabilities match the first column of NBAODDS.csv (e.g., Seed 1-3: 14%, Seed 4: 12.5%)
  * - Pick #2-4 probabilities match columns 2-4 of NBAODDS.csv
- * - Picks 5+ follow the Plackett-Luce model (NBA uses reverse order of record for picks 5-14)
+ * - Picks 5+ follow the Plackett-Luce model by default. With rules.lotteryPicks = 4 the draw stops
+ *   after pick 4 and picks 5-14 go in slot order (reverse record), matching every column of NBAODDS.csv
  * 
  * The Plackett-Luce model is a sampling without replacement process:
  * - Each team has a probability p_i (represented by their combinations)
@@ -25,6 +26,8 @@
 
 import { LOTTERY } from '../constants';
 import { calculateTotalCombinations } from './combinations';
+import { cryptoRandomSource, randomInt } from './random';
+import { assignBallCombinations, drawPingPongPick } from './pingPongLottery';
 
 /**
  * Select a team using Plackett-Luce model (sampling without replacement)
@@ -32,10 +35,11 @@ import { calculateTotalCombinations } from './combinations';
  * This implements: P(Team i selected) = combinations_i / sum(all combinations)
  * 
  * @param {Array<Object>} teams - Array of team objects with combinations property
+ * @param {Object} source - Randomness source with nextUint32() (default: crypto.getRandomValues)
  * @returns {Object} Selected team
- * @throws {Error} If teams array is empty
+ * @throws {Error} If teams array is empty or combinations are not whole numbers
  */
-export function selectWinnerByCombinations(teams) {
+export function selectWinnerByCombinations(teams, source = cryptoRandomSource) {
   if (!Array.isArray(teams) || teams.length === 0) {
     throw new Error('Cannot select from empty teams array');
   }
@@ -46,9 +50,13 @@ export function selectWinnerByCombinations(teams) {
     throw new Error('Total combinations cannot be zero');
   }
 
-  // Plackett-Luce: Generate random number between 1 and totalCombinations
-  // This simulates drawing one of the total combinations
-  const random = Math.floor(Math.random() * totalCombinations) + 1;
+  if (!Number.isInteger(totalCombinations)) {
+    throw new Error('Combinations must be whole numbers');
+  }
+
+  // Plackett-Luce: Draw one of the total combinations (1 to totalCombinations)
+  // randomInt uses rejection sampling, so every combination is exactly equally likely
+  const drawn = randomInt(source, totalCombinations) + 1;
   
   // Cumulative distribution: find which team's combination range contains the random number
   let cumulative = 0;
@@ -60,8 +68,8 @@ export function selectWinnerByCombinations(teams) {
     }
     
     cumulative += combinations;
-    // If random falls within this team's combination range, select them
-    if (random <= cumulative) {
+    // If the drawn number falls within this team's combination range, select them
+    if (drawn <= cumulative) {
       return team;
     }
   }
@@ -71,84 +79,341 @@ export function selectWinnerByCombinations(teams) {
 }
 
 /**
- * Run NBA-style lottery selection using Plackett-Luce model
+ * Number of picks decided by the draw under the given rules
+ * Picks after this are assigned in slot order (reverse standings).
+ * @param {Object} rules - Lottery rules (lotteryPicks: number of drawn picks, null = all)
+ * @param {number} totalTeams - Number of teams in the lottery
+ * @returns {number} Number of drawn picks (1 to totalTeams)
+ */
+export function getDrawnPickCount(rules, totalTeams) {
+  const { lotteryPicks } = { ...LOTTERY.DEFAULT_RULES, ...rules };
+  if (Number.isInteger(lotteryPicks) && lotteryPicks > 0) {
+    return Math.min(lotteryPicks, totalTeams);
+  }
+  return totalTeams;
+}
+
+/**
+ * Maximum drop allowed under the given rules
+ * @param {Object} rules - Lottery rules (maxDrop: places a team can fall below its slot, null = no limit)
+ * @returns {number|null} Non-negative integer, or null when there is no limit
+ */
+export function getMaxDrop(rules) {
+  const { maxDrop } = { ...LOTTERY.DEFAULT_RULES, ...rules };
+  return Number.isInteger(maxDrop) && maxDrop >= 0 ? maxDrop : null;
+}
+
+/**
+ * Worst pick a slot can end up with under the given rules
+ * @param {number} slotIndex - Slot index (0 = worst record)
+ * @param {number} totalTeams - Number of teams in the lottery
+ * @param {Object} rules - Lottery rules
+ * @returns {number} Worst possible pick number (1 = first)
+ */
+export function getWorstPossiblePick(slotIndex, totalTeams, rules) {
+  const maxDrop = getMaxDrop(rules);
+  // Without a draw for every pick, a team can fall at most past each drawn pick
+  const drawnPicks = getDrawnPickCount(rules, totalTeams);
+  let worst = Math.min(totalTeams, slotIndex + 1 + drawnPicks);
+  if (maxDrop !== null) {
+    worst = Math.min(worst, slotIndex + 1 + maxDrop);
+  }
+  return worst;
+}
+
+/**
+ * Find the slot that must take this pick under the max-drop rule
+ *
+ * The team in slot i (0 = worst record) may pick no later than i + 1 + maxDrop.
+ * At pick p, the team in slot p - 1 - maxDrop has reached that limit, so if it
+ * hasn't been selected yet it takes the pick without a draw. Only one team can
+ * reach its limit on any pick, so the rule is always satisfiable.
+ *
+ * @param {Uint8Array} selected - selected[slot] is 1 once that slot has a pick
+ * @param {number} pickNumber - Pick being made (1 = first)
+ * @param {number|null} maxDrop - Max drop (null = no limit)
+ * @returns {number} Slot forced into this pick, or -1 if the pick is drawn
+ */
+export function getForcedSlot(selected, pickNumber, maxDrop) {
+  if (maxDrop === null) return -1;
+  const slot = pickNumber - 1 - maxDrop;
+  if (slot < 0 || slot >= selected.length || selected[slot]) return -1;
+  return slot;
+}
+
+/**
+ * Snapshot of the slots still in the draw and their combination ranges
+ * Ranges are 1-based and consecutive in slot order:
+ * - Range draw: over the remaining slots only, matching how a drawn number is resolved
+ * - Ping-pong: fixed blocks of the lexicographic ball-combination list (see assignBallCombinations)
+ * @param {Array<number>} weights - Combination counts in slot order
+ * @param {Uint8Array} selected - selected[slot] is 1 once that slot has a pick
+ * @param {boolean} fixedBlocks - Keep selected slots' blocks in the numbering (ping-pong)
+ * @returns {Array<Object>} { slot, combinations, rangeStart, rangeEnd } per remaining slot
+ */
+function getRemainingRanges(weights, selected, fixedBlocks = false) {
+  const remaining = [];
+  let cumulative = 0;
+  for (let slot = 0; slot < weights.length; slot++) {
+    const combinations = Math.max(0, weights[slot] || 0);
+    if (selected[slot]) {
+      if (fixedBlocks) cumulative += combinations;
+      continue;
+    }
+    remaining.push({
+      slot,
+      combinations,
+      rangeStart: combinations > 0 ? cumulative + 1 : null,
+      rangeEnd: combinations > 0 ? cumulative + combinations : null,
+    });
+    cumulative += combinations;
+  }
+  return remaining;
+}
+
+/**
+ * Draw the full pick order for a slot configuration (synchronous core)
  * 
- * Implements the Plackett-Luce model for sampling without replacement:
- * - Each pick is selected based on remaining teams' combinations
- * - Probabilities are recalculated after each selection (normalized)
- * - SELECTS from winner (Pick #1) to worst pick, but DISPLAYS in reverse order
+ * This is the whole lottery engine: no timers, no team objects, one pass per pick.
+ * It is cheap enough to call hundreds of thousands of times for simulations.
  * 
- * Mathematical model:
- * - Pick #1: P(Team i) = combinations_i / sum(all combinations)
- * - Pick #2: P(Team i | Team j got #1) = combinations_i / sum(all combinations except Team j)
- * - Pick #3: P(Team i | Teams j,k got #1,#2) = combinations_i / sum(all combinations except Teams j,k)
+ * Plackett-Luce model for sampling without replacement:
+ * - Pick #1: P(Slot i) = combinations_i / sum(all combinations)
+ * - Pick #2: P(Slot i | Slot j got #1) = combinations_i / sum(all combinations except Slot j)
  * - And so on...
  * 
- * Selection order: Winner (Pick #1) → Pick #2 → Pick #3 → ... → Worst Pick
+ * Draw modes (rules.drawMode):
+ * - STANDARD: draw a number in 1..remaining combinations and find the slot whose range contains it
+ * - PING_PONG: draw 4 of 14 balls; each slot owns concrete ball combinations
+ *   (see pingPongLottery.js)
+ * Both modes produce the same Plackett-Luce probabilities.
+ * 
+ * Partial lottery (rules.lotteryPicks = N): only picks 1..N are drawn. The remaining
+ * slots fill picks N+1.. in slot order (slot 0 = worst record), like the real NBA lottery.
+ * 
+ * Max drop (rules.maxDrop = K): no slot picks more than K places below its index.
+ * When a slot reaches that limit it takes the pick without a draw.
+ * 
+ * @param {Array<number>} weights - Combination counts in slot order (0 = worst record)
+ * @param {Object} source - Randomness source with nextUint32() (default: crypto.getRandomValues)
+ * @param {Object} rules - Lottery rules (see LOTTERY.DEFAULT_RULES)
+ * @param {Object} options - Optional extras
+ * @param {Object} options.ballAssignment - Precomputed assignBallCombinations(weights) to reuse across draws
+ * @param {Array<Object>} options.details - If provided, receives one { drawn, forced, balls?, redraws? } per pick
+ * @param {Array<Object>} options.audit - If provided, receives one audit entry per pick (see below)
+ *
+ * Audit entries record exactly what decided each pick, in pick order:
+ * { pickNumber, method ('RANGE' | 'PING_PONG' | 'MAX_DROP' | 'STANDINGS'),
+ *   remaining: [{ slot, combinations, rangeStart, rangeEnd }], totalCombinations,
+ *   randomNumber (RANGE only), balls / redraws (PING_PONG only), slot }
+ * Collecting them doesn't change how random numbers are consumed.
+ *
+ * @returns {Int32Array} Slot index for each pick (index 0 = Pick #1)
+ * @throws {Error} If combinations are invalid or run out before every drawn pick is made
+ */
+export function drawSlotOrder(weights, source = cryptoRandomSource, rules = LOTTERY.DEFAULT_RULES, options = {}) {
+  const numTeams = weights.length;
+  const { drawMode } = { ...LOTTERY.DEFAULT_RULES, ...rules };
+  const drawnPicks = getDrawnPickCount(rules, numTeams);
+  const maxDrop = getMaxDrop(rules);
+  const details = options.details || null;
+  const audit = options.audit || null;
+  // Ball combinations are assigned once, before the first pick
+  const ballAssignment = drawMode === 'PING_PONG'
+    ? (options.ballAssignment || assignBallCombinations(weights))
+    : null;
+
+  const order = new Int32Array(numTeams);
+  const selected = new Uint8Array(numTeams);
+  let remainingWeight = 0;
+  for (let slot = 0; slot < numTeams; slot++) {
+    remainingWeight += Math.max(0, weights[slot] || 0);
+  }
+  if (!Number.isInteger(remainingWeight)) {
+    throw new Error('Combinations must be whole numbers');
+  }
+
+  // Select from winner (Pick #1) to worst pick (Pick #N)
+  for (let pickIndex = 0; pickIndex < numTeams; pickIndex++) {
+    const pickNumber = pickIndex + 1;
+    const forcedSlot = getForcedSlot(selected, pickNumber, maxDrop);
+    const isDrawnPick = pickNumber <= drawnPicks && forcedSlot === -1;
+    let slot = -1;
+    let ballDraw = null;
+    let randomNumber = null;
+    const remaining = audit ? getRemainingRanges(weights, selected, Boolean(ballAssignment)) : null;
+
+    if (forcedSlot !== -1) {
+      // Max-drop protection: this team can't fall any further
+      slot = forcedSlot;
+    } else if (!isDrawnPick) {
+      // Lottery is over: best remaining slot (worst record) takes the next pick
+      slot = selected.indexOf(0);
+    } else if (ballAssignment) {
+      ballDraw = drawPingPongPick(ballAssignment, selected, source);
+      slot = ballDraw.slot;
+    } else {
+      // Plackett-Luce step: P(Slot i) = combinations_i / sum(combinations of remaining slots)
+      if (remainingWeight <= 0) {
+        throw new Error('Total combinations cannot be zero');
+      }
+      // randomInt uses rejection sampling, so every combination is exactly equally likely
+      const drawn = randomInt(source, remainingWeight) + 1;
+      randomNumber = drawn;
+      let cumulative = 0;
+      for (let candidate = 0; candidate < numTeams; candidate++) {
+        const weight = weights[candidate] || 0;
+        if (selected[candidate] || weight <= 0) continue;
+        cumulative += weight;
+        if (drawn <= cumulative) {
+          slot = candidate;
+          break;
+        }
+      }
+    }
+
+    if (slot === -1) {
+      throw new Error('Invalid team selected during lottery');
+    }
+
+    // Sampling without replacement: remove the slot from future draws
+    selected[slot] = 1;
+    remainingWeight -= Math.max(0, weights[slot] || 0);
+    order[pickIndex] = slot;
+
+    if (details) {
+      details.push({
+        drawn: isDrawnPick, // false = assigned by standings or by the max-drop rule
+        forced: forcedSlot !== -1, // true = protected by the max-drop rule
+        ...(ballDraw && { balls: ballDraw.balls, redraws: ballDraw.redraws }),
+      });
+    }
+
+    if (audit) {
+      let method = 'RANGE';
+      if (forcedSlot !== -1) method = 'MAX_DROP';
+      else if (!isDrawnPick) method = 'STANDINGS';
+      else if (ballDraw) method = 'PING_PONG';
+
+      audit.push({
+        pickNumber,
+        method,
+        remaining,
+        totalCombinations: remaining.reduce((sum, entry) => sum + entry.combinations, 0),
+        randomNumber,
+        ...(ballDraw && { balls: ballDraw.balls, redraws: ballDraw.redraws }),
+        slot,
+      });
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Draw the lottery for a list of teams (synchronous)
+ * 
+ * SELECTS from winner (Pick #1) to worst pick, but returns in DISPLAY order:
  * Display order: Worst Pick → ... → Pick #3 → Pick #2 → Winner (Pick #1)
  * 
- * @param {Array<Object>} teams - Array of team objects with combinations property
- * @param {Function} onSelection - Callback for each selection (team, pickNumber, displayPosition)
- * @param {number} delay - Delay between selections in ms
- * @returns {Promise<Array>} Array of selections ordered from worst pick to winner (for display)
+ * Each selection is the team plus:
+ * - pickNumber: actual pick number (1 = winner, N = worst)
+ * - position: display position (1 = worst, N = winner)
+ * - drawn / forced: how the pick was decided (see drawSlotOrder)
+ * - balls / redraws: the winning ping-pong combination (ping-pong mode only)
+ * 
+ * @param {Array<Object>} teams - Team objects in slot order with combinations property
+ * @param {Object} source - Randomness source with nextUint32() (default: crypto.getRandomValues).
+ *   Pass a seeded source (see createSeededSource) to make the draw reproducible.
+ * @param {Object} rules - Lottery rules (see LOTTERY.DEFAULT_RULES)
+ * @param {Object} options - Optional extras
+ * @param {Array<Object>} options.audit - If provided, receives one audit entry per pick in pick order
+ *   (see drawSlotOrder), with slots resolved to { userId, teamName }
+ * @returns {Array<Object>} Selections ordered from worst pick to winner (for display)
  * @throws {Error} If teams array is empty or invalid
  */
-export async function runNBALottery(teams, onSelection, delay = LOTTERY.DEFAULT_DELAY_MS) {
+export function drawLotteryOrder(teams, source = cryptoRandomSource, rules = LOTTERY.DEFAULT_RULES, options = {}) {
   if (!Array.isArray(teams) || teams.length === 0) {
     throw new Error('Cannot run lottery with empty teams array');
   }
 
-  if (typeof delay !== 'number' || delay < 0) {
-    delay = LOTTERY.DEFAULT_DELAY_MS;
-  }
-
-  const selections = [];
   const totalTeams = teams.length;
-  
-  // Create a copy for selection (Plackett-Luce: sampling without replacement)
-  let availableTeams = [...teams];
-  
-  // Select from winner (Pick #1) to worst pick (Pick #N)
-  // Using Plackett-Luce: each selection uses remaining teams' combinations
-  for (let pickNumber = 1; pickNumber <= totalTeams; pickNumber++) {
-    // Wait before selection (for animation)
-    await new Promise(resolve => setTimeout(resolve, delay));
-    
-    // Plackett-Luce step: Select team from remaining teams
-    // P(Team i selected) = combinations_i / sum(combinations of all remaining teams)
-    const selected = selectWinnerByCombinations(availableTeams);
-    
-    if (!selected || !selected.userId) {
+  const details = [];
+  const audit = options.audit ? [] : null;
+  const order = drawSlotOrder(teams.map(t => t.combinations || 0), source, rules, { details, audit });
+
+  const selections = new Array(totalTeams);
+  for (let pickIndex = 0; pickIndex < totalTeams; pickIndex++) {
+    const team = teams[order[pickIndex]];
+    if (!team || !team.userId) {
       throw new Error('Invalid team selected during lottery');
     }
-    
-    // Plackett-Luce: Remove selected team (sampling without replacement)
-    // This ensures probabilities are recalculated for remaining teams
-    availableTeams = availableTeams.filter(t => t.userId !== selected.userId);
-    
-    // Calculate display position (worst pick = 1, winner = totalTeams)
-    // Pick #1 (winner) should display last (position = totalTeams)
-    // Pick #N (worst) should display first (position = 1)
+    const pickNumber = pickIndex + 1;
     const displayPosition = totalTeams - pickNumber + 1;
-    
-    // Store selection with both pick number and display position
-    const selection = {
-      ...selected,
+    // Display order: worst pick first, winner last
+    selections[displayPosition - 1] = {
+      ...team,
       pickNumber, // Actual pick number (1 = winner, N = worst)
       position: displayPosition, // Display position (1 = worst, N = winner)
+      ...details[pickIndex],
     };
-    
-    // Insert at beginning to reverse order (worst pick first, winner last)
-    selections.unshift(selection);
-    
-    // Callback with selection (for animation)
-    // Pass display position so animation shows correct label
-    if (typeof onSelection === 'function') {
-      onSelection(selected, displayPosition, pickNumber);
-    }
   }
-  
-  // Return in display order: worst pick first, winner last
+
+  if (audit) {
+    const describe = (slot) => ({ slot, userId: teams[slot].userId, teamName: teams[slot].teamName });
+    audit.forEach(({ slot, remaining, ...entry }) => {
+      options.audit.push({
+        ...entry,
+        remaining: remaining.map(range => ({ ...range, ...describe(range.slot) })),
+        winner: describe(slot),
+      });
+    });
+  }
+
   return selections;
 }
 
+/**
+ * Run NBA-style lottery selection with paced callbacks
+ * 
+ * Thin async wrapper around drawLotteryOrder for callers that want one
+ * callback per pick with a delay in between. The draw itself happens up
+ * front; the delay only paces the callbacks. UI animation should pace the
+ * results of drawLotteryOrder itself instead.
+ * 
+ * @param {Array<Object>} teams - Array of team objects with combinations property
+ * @param {Function} onSelection - Callback for each selection (team, displayPosition, pickNumber)
+ * @param {number} delay - Delay between selections in ms
+ * @param {Object} source - Randomness source with nextUint32() (default: crypto.getRandomValues)
+ * @param {Object} rules - Lottery rules (see LOTTERY.DEFAULT_RULES)
+ * @param {Function} onAudit - Optional callback receiving each pick's audit entry (see drawLotteryOrder),
+ *   right before that pick's onSelection callback
+ * @returns {Promise<Array>} Array of selections ordered from worst pick to winner (for display)
+ * @throws {Error} If teams array is empty or invalid
+ */
+export async function runNBALottery(teams, onSelection, delay = LOTTERY.DEFAULT_DELAY_MS, source = cryptoRandomSource, rules = LOTTERY.DEFAULT_RULES, onAudit = null) {
+  if (typeof delay !== 'number' || delay < 0) {
+    delay = LOTTERY.DEFAULT_DELAY_MS;
+  }
+
+  const audit = [];
+  const selections = drawLotteryOrder(teams, source, rules, { audit });
+
+  if (typeof onSelection === 'function' || typeof onAudit === 'function') {
+    // Selections are in display order; callbacks go in pick order (winner first)
+    for (let i = selections.length - 1; i >= 0; i--) {
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      const { pickNumber, position, ...team } = selections[i];
+      if (typeof onAudit === 'function') {
+        onAudit(audit[pickNumber - 1]);
+      }
+      if (typeof onSelection === 'function') {
+        onSelection(team, position, pickNumber);
+      }
+    }
+  }
+
+  return selections;
+}
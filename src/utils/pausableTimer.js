@@ -0,0 +1,78 @@
+/**
+ * Pausable timers for the lottery ceremony
+ *
+ * The ceremony is a sequence of awaited delays (static delay, avatar animation,
+ * dramatic pause). A pause controller hands out those delays and can freeze
+ * all of them at once: time spent paused doesn't count, so after resume each
+ * delay finishes with exactly the time it had left.
+ */
+
+/**
+ * Create a pause controller
+ * @returns {Object} { wait, pause, resume, isPaused, cancel }
+ */
+export function createPauseController() {
+  let paused = false;
+  const pending = new Set();
+
+  /**
+   * Wait for ms of un-paused time
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>} Resolves when the delay has elapsed (or the controller is cancelled)
+   */
+  const wait = (ms) => new Promise(resolve => {
+    const timer = {
+      remaining: Math.max(0, ms),
+      startedAt: 0,
+      handle: null,
+      start() {
+        this.startedAt = Date.now();
+        this.handle = setTimeout(() => this.finish(), this.remaining);
+      },
+      stop() {
+        clearTimeout(this.handle);
+        this.handle = null;
+        this.remaining = Math.max(0, this.remaining - (Date.now() - this.startedAt));
+      },
+      finish() {
+        clearTimeout(this.handle);
+        pending.delete(this);
+        resolve();
+      },
+    };
+
+    pending.add(timer);
+    if (!paused) timer.start();
+  });
+
+  return {
+    wait,
+    isPaused: () => paused,
+
+    /**
+     * Freeze every pending delay
+     */
+    pause() {
+      if (paused) return;
+      paused = true;
+      pending.forEach(timer => timer.stop());
+    },
+
+    /**
+     * Continue every pending delay with the time it had left
+     */
+    resume() {
+      if (!paused) return;
+      paused = false;
+      pending.forEach(timer => timer.start());
+    },
+
+    /**
+     * Resolve every pending delay immediately (skip / cancel)
+     */
+    cancel() {
+      paused = false;
+      [...pending].forEach(timer => timer.finish());
+    },
+  };
+}
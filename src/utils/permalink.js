@@ -0,0 +1,122 @@
+/**
+ * Shareable results permalink
+ *
+ * A completed lottery is packed into a compact, URL-safe token carried in the
+ * hash route (#/results/<token>): league ID, season, configuration
+ * fingerprint, the commitment published before the draw, seed, the slot
+ * configuration (user IDs in slot order, their combinations, rules) and the
+ * pick order as slot indices. That is everything needed to re-run the draw
+ * and check it against the commitment, so a link can be verified on its own;
+ * team names and avatars are refetched from Sleeper when it is opened.
+ *
+ * Token = base64url(JSON array), fields by position to keep links short:
+ *   [version, leagueId, season, fingerprint, commitment, seed, userIds, combinations, rules, pickOrder]
+ */
+
+import { UI } from '../constants';
+
+const PERMALINK_VERSION = 2;
+
+/**
+ * Base64url-encode a UTF-8 string
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string to UTF-8
+ */
+function fromBase64Url(token) {
+  const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Encode a completed lottery as a permalink token
+ * @param {Object} params
+ * @param {string} params.leagueId - Sleeper league ID
+ * @param {string|number} params.season - Season the lottery was run for
+ * @param {Array<Object>} params.teams - Teams in slot order with userId and combinations
+ * @param {Array<Object>} params.selections - Selections (any order, with pickNumber)
+ * @param {Object} params.proof - { seed, commitment, rules, fingerprint } of the draw
+ * @returns {string} URL-safe token
+ */
+export function encodeResultsPermalink({ leagueId, season, teams, selections, proof }) {
+  const slotByUserId = new Map(teams.map((team, slot) => [team.userId, slot]));
+  const pickOrder = [...selections]
+    .sort((a, b) => a.pickNumber - b.pickNumber)
+    .map(selection => slotByUserId.get(selection.userId));
+
+  return toBase64Url(JSON.stringify([
+    PERMALINK_VERSION,
+    String(leagueId),
+    season != null ? String(season) : null,
+    proof.fingerprint || null,
+    proof.commitment || null,
+    proof.seed,
+    teams.map(team => team.userId),
+    teams.map(team => team.combinations || 0),
+    proof.rules,
+    pickOrder,
+  ]));
+}
+
+/**
+ * Decode a permalink token
+ * @param {string} token - Token from encodeResultsPermalink
+ * @returns {Object} { leagueId, season, fingerprint, commitment, seed, rules,
+ *   slots: [{ slot, userId, combinations }], selections: [{ userId, pickNumber }] }
+ *   - in the lottery record format
+ * @throws {Error} If the token is malformed or from an unsupported version
+ */
+export function decodeResultsPermalink(token) {
+  let fields;
+  try {
+    fields = JSON.parse(fromBase64Url(decodeURIComponent(token)));
+  } catch {
+    throw new Error('This results link is damaged or incomplete');
+  }
+
+  if (!Array.isArray(fields) || fields[0] !== PERMALINK_VERSION) {
+    throw new Error('This results link was created by an unsupported version of the app');
+  }
+
+  const [, leagueId, season, fingerprint, commitment, seed, userIds, combinations, rules, pickOrder] = fields;
+  if (!leagueId || !seed || !Array.isArray(userIds) || !Array.isArray(combinations)
+    || !Array.isArray(pickOrder) || userIds.length !== combinations.length) {
+    throw new Error('This results link is damaged or incomplete');
+  }
+
+  const slots = userIds.map((userId, slot) => ({ slot, userId, combinations: combinations[slot] }));
+
+  return {
+    leagueId,
+    season,
+    fingerprint,
+    commitment,
+    seed,
+    rules,
+    slots,
+    selections: pickOrder.map((slot, index) => ({
+      userId: slots[slot]?.userId ?? null,
+      pickNumber: index + 1,
+    })),
+  };
+}
+
+/**
+ * Absolute URL that opens the results view for a token
+ * @param {string} token - Token from encodeResultsPermalink
+ * @returns {string} Shareable URL
+ */
+export function buildResultsPermalinkUrl(token) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${UI.ROUTES.RESULTS}${token}`;
+}
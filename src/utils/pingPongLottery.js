@@ -0,0 +1,202 @@
+/**
+ * Authentic NBA ping-pong ball draw
+ *
+ * The real NBA lottery puts 14 numbered balls in a machine and draws 4.
+ * Order doesn't matter, so there are C(14, 4) = 1001 possible combinations.
+ * 1000 of them are assigned to teams (e.g., 140 for each of the three worst teams)
+ * and the remaining one is unassigned - if it comes up, the balls are redrawn.
+ * If a combination belonging to a team that already has a pick comes up,
+ * the balls are also redrawn.
+ *
+ * This produces exactly the same probabilities as the combination-range draw
+ * (Plackett-Luce), but shows the actual winning combination like the broadcast.
+ */
+
+import { LOTTERY } from '../constants';
+import { calculateTotalCombinations } from './combinations';
+import { randomInt } from './random';
+
+const { TOTAL_BALLS, BALLS_PER_DRAW } = LOTTERY.PING_PONG;
+
+/**
+ * Generate every ball combination in lexicographic order
+ * e.g., [1,2,3,4], [1,2,3,5], ..., [11,12,13,14]
+ * @param {number} totalBalls - Number of balls in the machine
+ * @param {number} ballsPerDraw - Number of balls drawn
+ * @returns {Array<Array<number>>} All combinations (ball numbers start at 1)
+ */
+export function generateBallCombinations(totalBalls = TOTAL_BALLS, ballsPerDraw = BALLS_PER_DRAW) {
+  const combinations = [];
+  const current = [];
+
+  const build = (start) => {
+    if (current.length === ballsPerDraw) {
+      combinations.push([...current]);
+      return;
+    }
+    for (let ball = start; ball <= totalBalls; ball++) {
+      current.push(ball);
+      build(ball + 1);
+      current.pop();
+    }
+  };
+
+  build(1);
+  return combinations;
+}
+
+/**
+ * Format a ball combination for display
+ * @param {Array<number>} balls - Ball numbers
+ * @returns {string} Sorted balls joined with dashes (e.g., "3-7-9-12")
+ */
+export function formatBallCombination(balls) {
+  return [...balls].sort((a, b) => a - b).join('-');
+}
+
+/**
+ * Encode a ball combination as a bitmask (bit b-1 set for ball b)
+ * @param {Array<number>} balls - Ball numbers
+ * @returns {number} Bitmask
+ */
+function ballsToMask(balls) {
+  return balls.reduce((mask, ball) => mask | (1 << (ball - 1)), 0);
+}
+
+/**
+ * Decode a bitmask into ball numbers
+ * @param {number} mask - Bitmask from ballsToMask
+ * @returns {Array<number>} Ball numbers, ascending
+ */
+function maskToBalls(mask) {
+  const balls = [];
+  for (let ball = 1; ball <= TOTAL_BALLS; ball++) {
+    if (mask & (1 << (ball - 1))) balls.push(ball);
+  }
+  return balls;
+}
+
+/**
+ * Validate that combination counts fit in the ping-pong machine
+ * @param {Array<number>} combinations - Array of combination counts
+ * @returns {Object} Validation result with isValid and error message
+ */
+export function validatePingPongCombinations(combinations) {
+  const available = generateBallCombinations().length;
+  const total = calculateTotalCombinations(combinations);
+
+  if (combinations.some(count => !Number.isInteger(count || 0))) {
+    return { isValid: false, error: 'Ping-pong mode requires whole-number combinations' };
+  }
+
+  if (total === 0) {
+    return { isValid: false, error: 'Total combinations cannot be zero' };
+  }
+
+  if (total > available) {
+    return {
+      isValid: false,
+      error: `Ping-pong mode supports at most ${available} total combinations (currently ${total})`,
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Assign concrete ball combinations to lottery slots
+ *
+ * Slots receive consecutive blocks of combinations in slot order, so the
+ * assignment is deterministic and can be published before the draw.
+ * Combinations left over after all slots are assigned are unassigned (redraw).
+ *
+ * @param {Array<number>} combinations - Combination counts in slot order
+ * @returns {Object} { ownerByMask: Int16Array (ball bitmask -> slot, -1 = unassigned), bySlot: Array<Array<Array<number>>>, unassigned: Array<Array<number>> }
+ * @throws {Error} If the combinations don't fit in the machine
+ */
+export function assignBallCombinations(combinations) {
+  const validation = validatePingPongCombinations(combinations.map(count => count || 0));
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+
+  const allCombinations = generateBallCombinations();
+  // Bitmask lookup keeps the redraw loop allocation-free
+  const ownerByMask = new Int16Array(1 << TOTAL_BALLS).fill(-1);
+  let index = 0;
+
+  const bySlot = combinations.map((combinationCount, slot) => {
+    const count = Math.max(0, combinationCount || 0);
+    const owned = allCombinations.slice(index, index + count);
+    owned.forEach(balls => { ownerByMask[ballsToMask(balls)] = slot; });
+    index += count;
+    return owned;
+  });
+
+  return {
+    ownerByMask,
+    bySlot,
+    unassigned: allCombinations.slice(index),
+  };
+}
+
+/**
+ * Draw balls from the machine without replacement, as a bitmask
+ * Each draw picks uniformly among the balls still in the machine
+ * (the k-th remaining ball in ascending order).
+ * @param {Object} source - Randomness source with nextUint32()
+ * @returns {number} Bitmask of drawn balls
+ */
+function drawBallMask(source) {
+  let mask = 0;
+
+  for (let i = 0; i < BALLS_PER_DRAW; i++) {
+    let remaining = randomInt(source, TOTAL_BALLS - i);
+    for (let bit = 0; bit < TOTAL_BALLS; bit++) {
+      if (mask & (1 << bit)) continue;
+      if (remaining === 0) {
+        mask |= 1 << bit;
+        break;
+      }
+      remaining--;
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Draw balls from the machine without replacement
+ * @param {Object} source - Randomness source with nextUint32()
+ * @returns {Array<number>} Drawn balls, sorted ascending
+ */
+export function drawBalls(source) {
+  return maskToBalls(drawBallMask(source));
+}
+
+/**
+ * Draw one pick with ping-pong balls
+ * Redraws when the unassigned combination or a combination owned by a slot
+ * that has already been selected comes up.
+ * @param {Object} assignment - Result of assignBallCombinations
+ * @param {Uint8Array} selected - selected[slot] is 1 once that slot has a pick
+ * @param {Object} source - Randomness source with nextUint32()
+ * @returns {Object} { slot, balls, redraws }
+ * @throws {Error} If no remaining slot owns any combination
+ */
+export function drawPingPongPick(assignment, selected, source) {
+  const hasLiveCombination = assignment.bySlot.some((owned, slot) => !selected[slot] && owned.length > 0);
+  if (!hasLiveCombination) {
+    throw new Error('No remaining team owns a ball combination');
+  }
+
+  let redraws = 0;
+  for (;;) {
+    const mask = drawBallMask(source);
+    const slot = assignment.ownerByMask[mask];
+    if (slot !== -1 && !selected[slot]) {
+      return { slot, balls: maskToBalls(mask), redraws };
+    }
+    redraws++;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Randomness sources for the lottery engine
+ *
+ * A randomness source is any object with a `nextUint32()` method returning
+ * a uniformly distributed unsigned 32-bit integer. The lottery draws from a
+ * source through randomInt, which uses rejection sampling so every
+ * combination is exactly equally likely (no modulo bias).
+ *
+ * - cryptoRandomSource: default, backed by crypto.getRandomValues
+ * - createSeededSource: deterministic HMAC-SHA-256 generator, so a draw can be
+ *   reproduced from its seed
+ */
+
+import { hmacSha256 } from './hash';
+
+const UINT32_RANGE = 4294967296; // 2^32
+const CRYPTO_BUFFER_SIZE = 256;
+const SEEDED_BLOCK_WORDS = 8; // 32-bit values per HMAC-SHA-256 output
+
+/**
+ * Cryptographically secure randomness source (crypto.getRandomValues)
+ * Values are fetched in batches to avoid one getRandomValues call per draw.
+ */
+export const cryptoRandomSource = (() => {
+  const buffer = new Uint32Array(CRYPTO_BUFFER_SIZE);
+  let index = CRYPTO_BUFFER_SIZE;
+
+  return {
+    nextUint32() {
+      if (index >= CRYPTO_BUFFER_SIZE) {
+        crypto.getRandomValues(buffer);
+        index = 0;
+      }
+      return buffer[index++];
+    },
+  };
+})();
+
+/**
+ * Draw a uniformly distributed integer in [0, max) from a randomness source
+ *
+ * Rejection sampling: 32-bit values at or above the largest multiple of `max`
+ * are discarded and redrawn, so `value % max` is unbiased.
+ *
+ * @param {Object} source - Randomness source with nextUint32()
+ * @param {number} max - Exclusive upper bound (integer, 1 to 2^32)
+ * @returns {number} Integer in [0, max)
+ * @throws {Error} If max is not a positive integer within range or source is invalid
+ */
+export function randomInt(source, max) {
+  if (!Number.isInteger(max) || max <= 0 || max > UINT32_RANGE) {
+    throw new Error('Random range must be a positive integer no greater than 2^32');
+  }
+  if (!source || typeof source.nextUint32 !== 'function') {
+    throw new Error('Invalid randomness source');
+  }
+
+  const limit = UINT32_RANGE - (UINT32_RANGE % max);
+  let value;
+  do {
+    value = source.nextUint32();
+  } while (value >= limit);
+
+  return value % max;
+}
+
+/**
+ * Create a deterministic randomness source from a seed
+ *
+ * HMAC-SHA-256 in counter mode keyed by the seed: block i is
+ * HMAC(seed, i as a 32-bit big-endian counter), read as eight 32-bit values.
+ * Without the seed the output can't be predicted, and anyone holding the seed
+ * gets the exact same sequence of numbers, which is what makes a committed
+ * draw reproducible after the reveal. Feed it through randomInt like any
+ * other source.
+ *
+ * @param {string} seed - Seed string (e.g., a hex string from generateSeed)
+ * @returns {Object} Randomness source with nextUint32()
+ * @throws {Error} If seed is not a non-empty string
+ */
+export function createSeededSource(seed) {
+  if (!seed || typeof seed !== 'string') {
+    throw new Error('Seed must be a non-empty string');
+  }
+
+  const key = new TextEncoder().encode(seed);
+  const counter = new Uint8Array(4);
+  let blockIndex = 0;
+  let block = null;
+  let index = SEEDED_BLOCK_WORDS;
+
+  const nextUint32 = () => {
+    if (index >= SEEDED_BLOCK_WORDS) {
+      new DataView(counter.buffer).setUint32(0, blockIndex++);
+      block = new DataView(hmacSha256(key, counter).buffer);
+      index = 0;
+    }
+    return block.getUint32(4 * index++);
+  };
+
+  return { nextUint32 };
+}
+
+/**
+ * Generate a new secret seed using the browser's cryptographic RNG
+ * @param {number} bytes - Number of random bytes (default 32 = 256 bits)
+ * @returns {string} Hex-encoded seed
+ */
+export function generateSeed(bytes = 32) {
+  const buffer = new Uint8Array(bytes);
+  crypto.getRandomValues(buffer);
+  return Array.from(buffer, byte => byte.toString(16).padStart(2, '0')).join('');
+}
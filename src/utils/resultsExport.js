@@ -0,0 +1,322 @@
+/**
+ * Lottery results export
+ *
+ * Turns a finished lottery into a flat per-pick summary (pick, team,
+ * pre-lottery slot, record, combinations, odds) and renders that summary as
+ * CSV, structured JSON, or a PNG card ready to post in a group chat.
+ */
+
+import { LOTTERY } from '../constants';
+import { calculatePercentages } from './combinations';
+import { computeExactOddsMatrix, computeExpectedPicks } from './exactOdds';
+
+const RESULTS_EXPORT_VERSION = 2;
+
+/**
+ * Build the per-pick summary of a finished lottery
+ * @param {Object} params
+ * @param {Array<Object>} params.selections - Selections (any order, with pickNumber)
+ * @param {Array<Object>} params.teams - Teams in pre-lottery slot order with combinations
+ * @param {Object} params.rules - Lottery rules the draw ran with
+ * @param {string} params.leagueName - League name (optional)
+ * @param {string|number} params.season - Season (optional)
+ * @param {Object} params.proof - { seed, commitment, fingerprint } (optional)
+ * @param {number} params.completedAt - When the lottery finished (ms since epoch, optional)
+ * @returns {Object} { leagueName, season, completedAt, rules, proof, slots: [...], picks: [...] }
+ */
+export function summarizeLotteryResults({ selections, teams, rules = LOTTERY.DEFAULT_RULES, leagueName = null, season = null, proof = null, completedAt = null }) {
+  const combinations = teams.map(team => team.combinations || 0);
+  const pickOneOdds = calculatePercentages(combinations, rules);
+
+  let oddsMatrix = null;
+  let expectedPicks = null;
+  try {
+    oddsMatrix = computeExactOddsMatrix(combinations, rules);
+    expectedPicks = computeExpectedPicks(oddsMatrix);
+  } catch {
+    // Too many teams for exact odds - those columns are left empty
+  }
+
+  const slotByUserId = new Map(teams.map((team, slot) => [team.userId, slot]));
+
+  const picks = [...selections]
+    .sort((a, b) => a.pickNumber - b.pickNumber)
+    .map((selection) => {
+      const slot = slotByUserId.get(selection.userId);
+      const hasSlot = slot !== undefined;
+      return {
+        pickNumber: selection.pickNumber,
+        userId: selection.userId,
+        teamName: selection.teamName,
+        avatar: selection.avatar || null,
+        wins: selection.wins ?? 0,
+        losses: selection.losses ?? 0,
+        ties: selection.ties ?? 0,
+        preLotterySlot: hasSlot ? slot + 1 : null,
+        movement: hasSlot ? slot + 1 - selection.pickNumber : null, // Positive = moved up
+        combinations: hasSlot ? combinations[slot] : null,
+        pickOneOdds: hasSlot ? pickOneOdds[slot] : null,
+        pickOdds: hasSlot && oddsMatrix ? oddsMatrix[slot][selection.pickNumber - 1] : null,
+        expectedPick: hasSlot && expectedPicks ? expectedPicks[slot] : null,
+      };
+    });
+
+  return {
+    leagueName,
+    season: season != null ? String(season) : null,
+    completedAt,
+    rules,
+    proof: proof
+      ? { seed: proof.seed, commitment: proof.commitment, fingerprint: proof.fingerprint || null }
+      : null,
+    slots: teams.map((team, slot) => ({
+      slot,
+      userId: team.userId,
+      teamName: team.teamName,
+      combinations: combinations[slot],
+    })),
+    picks,
+  };
+}
+
+/**
+ * Escape one CSV field (RFC 4180)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Round a percentage or expected pick for export
+ */
+function round(value, digits) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * Format a lottery summary as CSV (one row per pick)
+ * @param {Object} summary - Summary from summarizeLotteryResults
+ * @returns {string} CSV text
+ */
+export function formatResultsCsv(summary) {
+  const header = [
+    'Pick', 'Team', 'User ID', 'Record', 'Pre-Lottery Slot', 'Movement',
+    'Combinations', '#1 Odds (%)', 'Odds of This Pick (%)', 'Expected Pick',
+  ];
+
+  const rows = summary.picks.map(pick => [
+    pick.pickNumber,
+    pick.teamName,
+    pick.userId,
+    `${pick.wins}-${pick.losses}${pick.ties ? `-${pick.ties}` : ''}`,
+    pick.preLotterySlot,
+    pick.movement,
+    pick.combinations,
+    round(pick.pickOneOdds, 2),
+    round(pick.pickOdds, 2),
+    round(pick.expectedPick, 2),
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * Format a lottery summary as structured JSON
+ * Same shape as an archived lottery record (see services/lotteryArchive.js) -
+ * slots, seed, commitment, fingerprint and selections at the top level - so the
+ * export can be checked on the verify page; the odds columns are added per pick.
+ * @param {Object} summary - Summary from summarizeLotteryResults
+ * @returns {Object} JSON-serializable results document
+ */
+export function formatResultsJson(summary) {
+  return {
+    version: RESULTS_EXPORT_VERSION,
+    leagueName: summary.leagueName,
+    season: summary.season,
+    completedAt: summary.completedAt ? new Date(summary.completedAt).toISOString() : null,
+    rules: summary.rules,
+    slots: summary.slots,
+    seed: summary.proof?.seed ?? null,
+    commitment: summary.proof?.commitment ?? null,
+    fingerprint: summary.proof?.fingerprint ?? null,
+    selections: summary.picks.map(pick => ({
+      ...pick,
+      pickOneOdds: round(pick.pickOneOdds, 4),
+      pickOdds: round(pick.pickOdds, 4),
+      expectedPick: round(pick.expectedPick, 4),
+    })),
+  };
+}
+
+// PNG card layout (CSS pixels; drawn at 2x for sharp text)
+const CARD = {
+  WIDTH: 900,
+  PADDING: 40,
+  HEADER_HEIGHT: 130,
+  ROW_HEIGHT: 64,
+  AVATAR_SIZE: 44,
+  FOOTER_HEIGHT: 70,
+  SCALE: 2,
+  FONT: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+};
+
+/**
+ * Load an avatar for drawing on the canvas
+ * Requested with CORS so the canvas stays exportable; resolves null if the image can't be used.
+ */
+function loadAvatar(url) {
+  if (!url) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
+
+/**
+ * Shorten text with an ellipsis to fit a width
+ */
+function fitText(context, text, maxWidth) {
+  if (context.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && context.measureText(`${text.slice(0, end)}…`).width > maxWidth) {
+    end--;
+  }
+  return `${text.slice(0, end)}…`;
+}
+
+/**
+ * Draw a round avatar, or the team initial when there is no usable image
+ */
+function drawAvatar(context, image, teamName, x, y, size) {
+  context.save();
+  context.beginPath();
+  context.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+  context.closePath();
+  context.clip();
+  if (image) {
+    context.drawImage(image, x, y, size, size);
+  } else {
+    context.fillStyle = '#667eea';
+    context.fillRect(x, y, size, size);
+    context.fillStyle = '#ffffff';
+    context.font = `bold ${Math.round(size * 0.45)}px ${CARD.FONT}`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText((teamName || '?').trim().charAt(0).toUpperCase() || '?', x + size / 2, y + size / 2 + 1);
+  }
+  context.restore();
+}
+
+/**
+ * Render a lottery summary as a PNG results card
+ * @param {Object} summary - Summary from summarizeLotteryResults
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function renderResultsCard(summary) {
+  const { WIDTH, PADDING, HEADER_HEIGHT, ROW_HEIGHT, AVATAR_SIZE, FOOTER_HEIGHT, SCALE, FONT } = CARD;
+  const height = HEADER_HEIGHT + summary.picks.length * ROW_HEIGHT + FOOTER_HEIGHT;
+  const avatars = await Promise.all(summary.picks.map(pick => loadAvatar(pick.avatar)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH * SCALE;
+  canvas.height = height * SCALE;
+  const context = canvas.getContext('2d');
+  context.scale(SCALE, SCALE);
+
+  // Background (same gradient as the app)
+  const background = context.createLinearGradient(0, 0, WIDTH, height);
+  background.addColorStop(0, '#667eea');
+  background.addColorStop(1, '#764ba2');
+  context.fillStyle = background;
+  context.fillRect(0, 0, WIDTH, height);
+
+  // Header
+  context.fillStyle = '#ffffff';
+  context.textAlign = 'left';
+  context.textBaseline = 'alphabetic';
+  context.font = `bold 34px ${FONT}`;
+  context.fillText(fitText(context, `${summary.leagueName || 'Fantasy Football'} Draft Lottery`, WIDTH - PADDING * 2), PADDING, 62);
+  context.font = `18px ${FONT}`;
+  context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  const subtitle = [
+    summary.season && `${summary.season} Season`,
+    summary.completedAt && new Date(summary.completedAt).toLocaleDateString(undefined, { dateStyle: 'medium' }),
+    LOTTERY.DRAW_MODES[summary.rules?.drawMode]?.name,
+  ].filter(Boolean).join(' · ');
+  context.fillText(subtitle, PADDING, 94);
+
+  // Column headings
+  context.font = `bold 13px ${FONT}`;
+  context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  context.fillText('PICK', PADDING, HEADER_HEIGHT - 8);
+  context.fillText('TEAM', PADDING + 80 + AVATAR_SIZE + 14, HEADER_HEIGHT - 8);
+  context.textAlign = 'right';
+  context.fillText('SEED', WIDTH - PADDING - 200, HEADER_HEIGHT - 8);
+  context.fillText('#1 ODDS', WIDTH - PADDING - 90, HEADER_HEIGHT - 8);
+  context.fillText('MOVE', WIDTH - PADDING, HEADER_HEIGHT - 8);
+
+  // One row per pick
+  summary.picks.forEach((pick, index) => {
+    const top = HEADER_HEIGHT + index * ROW_HEIGHT;
+    const middle = top + ROW_HEIGHT / 2;
+    const isWinner = pick.pickNumber === 1;
+
+    context.fillStyle = isWinner ? 'rgba(255, 215, 0, 0.25)' : `rgba(255, 255, 255, ${index % 2 === 0 ? 0.12 : 0.06})`;
+    context.fillRect(PADDING - 12, top + 4, WIDTH - (PADDING - 12) * 2, ROW_HEIGHT - 8);
+
+    context.textBaseline = 'middle';
+    context.textAlign = 'left';
+    context.fillStyle = isWinner ? '#ffd700' : '#ffffff';
+    context.font = `bold 26px ${FONT}`;
+    context.fillText(`#${pick.pickNumber}`, PADDING, middle);
+
+    const avatarX = PADDING + 80;
+    drawAvatar(context, avatars[index], pick.teamName, avatarX, middle - AVATAR_SIZE / 2, AVATAR_SIZE);
+
+    const nameX = avatarX + AVATAR_SIZE + 14;
+    context.fillStyle = '#ffffff';
+    context.font = `${isWinner ? 'bold ' : ''}20px ${FONT}`;
+    context.fillText(fitText(context, `${isWinner ? '🏆 ' : ''}${pick.teamName}`, WIDTH - PADDING - 280 - nameX), nameX, middle - 9);
+    context.font = `14px ${FONT}`;
+    context.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    context.fillText(`${pick.wins}-${pick.losses}${pick.ties ? `-${pick.ties}` : ''}`, nameX, middle + 13);
+
+    context.textAlign = 'right';
+    context.font = `18px ${FONT}`;
+    context.fillStyle = '#ffffff';
+    context.fillText(pick.preLotterySlot !== null ? `#${pick.preLotterySlot}` : '-', WIDTH - PADDING - 200, middle);
+    context.fillText(pick.pickOneOdds !== null ? `${pick.pickOneOdds.toFixed(1)}%` : '-', WIDTH - PADDING - 90, middle);
+    if (pick.movement > 0) {
+      context.fillStyle = '#7CFC9A';
+      context.fillText(`▲${pick.movement}`, WIDTH - PADDING, middle);
+    } else if (pick.movement < 0) {
+      context.fillStyle = '#FF9A9A';
+      context.fillText(`▼${-pick.movement}`, WIDTH - PADDING, middle);
+    } else {
+      context.fillText('–', WIDTH - PADDING, middle);
+    }
+  });
+
+  // Footer: proof so the card itself can be checked
+  if (summary.proof) {
+    const footerTop = HEADER_HEIGHT + summary.picks.length * ROW_HEIGHT;
+    context.textAlign = 'left';
+    context.textBaseline = 'alphabetic';
+    context.font = `12px ui-monospace, Menlo, Consolas, monospace`;
+    context.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    context.fillText(`Commitment ${summary.proof.commitment || 'none'}`, PADDING, footerTop + 30);
+    context.fillText(`Seed ${summary.proof.seed}`, PADDING, footerTop + 50);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to render the results image'));
+    }, 'image/png');
+  });
+}
@@ -2,6 +2,8 @@
  * Team-related utility functions
  */
 
+import { STANDINGS } from '../constants';
+
 /**
  * Calculate win percentage for a team
  * @param {Object} team - Team object with wins, losses, ties
@@ -13,14 +15,120 @@ export function calculateWinPercentage(team) {
   return totalGames > 0 ? wins / totalGames : 0;
 }
 
+/**
+ * Whether a ranking uses more than the current season
+ */
+function isMultiSeason(ranking) {
+  return (ranking?.model?.weights?.length || 0) > 1;
+}
+
+/**
+ * Score every team in one season (lower = worse)
+ * Win percentage blended with points for relative to the league average,
+ * halved so an average team scores 0.5 like a .500 record.
+ */
+function scoreSeasonTeams(teams, pointsForWeight) {
+  const totalPointsFor = teams.reduce((sum, team) => sum + (team.pointsFor || 0), 0);
+  const averagePointsFor = teams.length > 0 ? totalPointsFor / teams.length : 0;
+
+  return teams.map((team) => {
+    const pointsForIndex = averagePointsFor > 0 ? (team.pointsFor || 0) / averagePointsFor / 2 : 0.5;
+    return {
+      team,
+      score: (1 - pointsForWeight) * calculateWinPercentage(team) + pointsForWeight * pointsForIndex,
+    };
+  });
+}
+
+/**
+ * Calculate weighted multi-season standings scores
+ * @param {Array<Object>} teams - Current season teams
+ * @param {Object} ranking - Ranking model and the seasons it averages
+ * @param {Object} ranking.model - Model from STANDINGS.MODELS ({ weights, pointsForWeight })
+ * @param {string} ranking.season - Current season (for labels, optional)
+ * @param {Array<Object>} ranking.history - Past seasons, most recent first: [{ season, teams }]
+ * @param {string} ranking.missingSeasons - Key of STANDINGS.MISSING_SEASONS for owners who joined mid-window
+ * @returns {Map<string, Object>} userId -> { score, seasons: [{ season, weight, score, source }] }
+ *   where source is 'owner', 'roster' (the roster's previous owner) or 'average'
+ */
+export function calculateMultiSeasonScores(teams, ranking = {}) {
+  const {
+    model,
+    season = null,
+    history = [],
+    missingSeasons = STANDINGS.DEFAULT_MISSING_SEASONS,
+  } = ranking;
+  const weights = model?.weights || [1];
+  const pointsForWeight = model?.pointsForWeight ?? STANDINGS.POINTS_FOR_WEIGHT;
+
+  // League members without a roster (e.g., co-owners) aren't teams in any season
+  const seasons = [{ season, teams }, ...history]
+    .map(entry => ({
+      season: entry.season,
+      teams: entry.teams.filter(team => team.rosterId !== null),
+    }))
+    .slice(0, weights.length)
+    .map((entry, index) => {
+      const scored = scoreSeasonTeams(entry.teams, pointsForWeight);
+      return {
+        season: entry.season,
+        weight: weights[index],
+        byUser: new Map(scored.map(({ team, score }) => [team.userId, score])),
+        byRoster: new Map(scored
+          .filter(({ team }) => team.rosterId !== null && team.rosterId !== undefined)
+          .map(({ team, score }) => [team.rosterId, score])),
+      };
+    });
+
+  const scores = new Map();
+  teams.forEach((team) => {
+    const counted = [];
+    seasons.forEach(({ season: seasonLabel, weight, byUser, byRoster }) => {
+      if (byUser.has(team.userId)) {
+        counted.push({ season: seasonLabel, weight, score: byUser.get(team.userId), source: 'owner' });
+      } else if (missingSeasons === 'ROSTER' && byRoster.has(team.rosterId)) {
+        counted.push({ season: seasonLabel, weight, score: byRoster.get(team.rosterId), source: 'roster' });
+      } else if (missingSeasons === 'AVERAGE') {
+        counted.push({ season: seasonLabel, weight, score: 0.5, source: 'average' });
+      }
+      // Otherwise the season is skipped and the remaining weights are rescaled
+    });
+
+    const totalWeight = counted.reduce((sum, entry) => sum + entry.weight, 0);
+    const score = totalWeight > 0
+      ? counted.reduce((sum, entry) => sum + entry.weight * entry.score, 0) / totalWeight
+      : 0;
+    scores.set(team.userId, { score, seasons: counted });
+  });
+
+  return scores;
+}
+
 /**
  * Sort teams by record (worst to best)
  * If tied on win percentage, sort by points for (lower points = worse)
+ * With a multi-season ranking, teams are ordered by their weighted score
+ * first and this season's record breaks ties.
  * @param {Array<Object>} teams - Array of team objects
+ * @param {Object} ranking - Ranking for calculateMultiSeasonScores (optional); may carry
+ *   precomputed `scores` when sorting a subset of the league
  * @returns {Array<Object>} Sorted teams array
  */
-export function sortTeamsByRecord(teams) {
+export function sortTeamsByRecord(teams, ranking = null) {
+  const scores = isMultiSeason(ranking)
+    ? ranking.scores || calculateMultiSeasonScores(teams, ranking)
+    : null;
+
   return [...teams].sort((a, b) => {
+    // Multi-season model: weighted score first (lower = worse)
+    if (scores) {
+      const scoreA = scores.get(a.userId)?.score ?? 0;
+      const scoreB = scores.get(b.userId)?.score ?? 0;
+      if (scoreA !== scoreB) {
+        return scoreA - scoreB;
+      }
+    }
+
     const winPctA = calculateWinPercentage(a);
     const winPctB = calculateWinPercentage(b);
     
@@ -64,11 +172,14 @@ export function sortTeamsByRecordBestFirst(teams) {
  * Determine lottery teams (non-playoff teams)
  * Top 6 teams make playoffs, bottom 6 are lottery teams
  * If tied for 6th playoff spot, team with higher Points For makes playoffs
+ * Playoffs always follow this season's record; a multi-season ranking only
+ * changes the lottery order.
  * @param {Array<Object>} teams - Array of team objects
  * @param {number} playoffSpots - Number of playoff spots (default 6)
+ * @param {Object} ranking - Ranking for the lottery order (see sortTeamsByRecord, optional)
  * @returns {Object} Object with playoffTeams and lotteryTeams arrays
  */
-export function determinePlayoffAndLotteryTeams(teams, playoffSpots = 6) {
+export function determinePlayoffAndLotteryTeams(teams, playoffSpots = 6, ranking = null) {
   if (!Array.isArray(teams) || teams.length === 0) {
     return {
       playoffTeams: [],
@@ -86,7 +197,11 @@ export function determinePlayoffAndLotteryTeams(teams, playoffSpots = 6) {
   const lotteryTeams = sortedBestFirst.slice(playoffSpots);
   
   // Sort lottery teams worst to best for lottery assignment
-  const sortedLotteryTeams = sortTeamsByRecord(lotteryTeams);
+  // (scores are computed over the whole league so points for compare fairly)
+  const lotteryRanking = isMultiSeason(ranking)
+    ? { ...ranking, scores: ranking.scores || calculateMultiSeasonScores(teams, ranking) }
+    : null;
+  const sortedLotteryTeams = sortTeamsByRecord(lotteryTeams, lotteryRanking);
   
   return {
     playoffTeams,
@@ -0,0 +1,42 @@
+/**
+ * Simulation Lab worker
+ *
+ * Runs large lottery simulations off the main thread so the UI stays responsive.
+ *
+ * Messages in:
+ * - { type: 'start', iterations, combinations, rules }
+ *
+ * Messages out:
+ * - { type: 'progress', completed, total }
+ * - { type: 'result', results } - same shape as verifyLotteryProbabilities
+ * - { type: 'error', message }
+ *
+ * Cancellation: the main thread terminates the worker.
+ */
+
+import { simulateLotteryCounts, summarizeLotteryCounts } from '../utils/lotteryVerification';
+import { LOTTERY } from '../constants';
+
+self.onmessage = (event) => {
+  const { type, iterations, combinations, rules } = event.data || {};
+  if (type !== 'start') return;
+
+  try {
+    let counts = null;
+    let completed = 0;
+
+    while (completed < iterations) {
+      const chunk = Math.min(LOTTERY.SIMULATION.CHUNK_SIZE, iterations - completed);
+      counts = simulateLotteryCounts(chunk, combinations, rules, undefined, counts);
+      completed += chunk;
+      self.postMessage({ type: 'progress', completed, total: iterations });
+    }
+
+    self.postMessage({
+      type: 'result',
+      results: summarizeLotteryCounts(counts, iterations, combinations, rules),
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'Simulation failed' });
+  }
+};